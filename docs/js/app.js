@@ -11,23 +11,73 @@
 // See SECURITY.md for restriction requirements before deploying.
 mapboxgl.accessToken = window.APP_CONFIG?.mapboxToken ?? "";
 
+// Directions / matrix / geocoding backend chosen in config.js (see routing.js)
+const ROUTING = window.ROUTING;
+
 /* ===============================
    TRIP RULES MODEL
 ================================ */
 const tripRules = {
   maxDriveHoursPerDay: 6,
   maxSingleLegHours: 10,
-  breakMinutesPerDay: 0,
+  restEveryHours: 0,         // rest stop after this much driving; 0 = none
+  restMinutes: 15,
+  lunchMinutes: 0,           // lunch stop length; 0 = none
+  lunchFromHHMM: "11:30",    // lunch is taken while driving inside this window
+  lunchToHHMM: "13:30",
   startTimeHHMM: "08:00",   // kept for legacy / CSV export
   wakeHHMM: "08:00",        // earliest departure each day
   sleepHHMM: "20:00",       // latest arrival each day
+  daylightOnly: false,       // clamp each day's window to sunrise–sunset (needs a date)
   speedMph: 55,
   noBacktracking: false,     // penalise direction reversals during optimization
-  travelMonth: 0,            // 0 = any; 1–12 = Jan–Dec
-  filterClosedParks: true,   // hide/warn parks closed in travelMonth
-  visitHoursPerPark: 1.5     // hours budgeted to explore each destination park
+  travelMonth: 0,            // 0 = any; 1–12 = Jan–Dec (used when there's no startDate)
+  startDate: "",             // "YYYY-MM-DD" of day 1; "" = undated ("Day 1, Day 2…")
+  filterClosedParks: true,   // hide/warn parks closed in the month they're visited
+  visitHoursPerPark: 1.5,    // hours budgeted to explore each destination park
+  tripDays: 0,               // total trip days; > 0 turns on day-budget mode (see fitOptionalStops)
+  optimizeObjective: "distance", // "distance" | "longestLeg" | "days" — what the optimizer minimizes
+  vehicleMpg: 25,            // trip budget: fuel economy
+  fuelPrice: 3.5,            // trip budget: $ per gallon
+  travellers: 2,             // trip budget: people paying per-person entrance fees
+  // Road types the routing provider should route around
+  avoid: { tolls: false, ferries: false, unpaved: false, highways: false }
+};
+
+const AVOIDANCE_LABELS = {
+  tolls:    "tolls",
+  ferries:  "ferries",
+  unpaved:  "unpaved roads",
+  highways: "highways"
+};
+
+/** Avoidances switched on in tripRules, sorted (e.g. ["ferries", "tolls"]). */
+function activeAvoidances() {
+  return Object.keys(AVOIDANCE_LABELS).filter((k) => tripRules.avoid?.[k]).sort();
+}
+
+// Objectives the optimizer can minimize (tripRules.optimizeObjective).
+const OPTIMIZE_OBJECTIVES = {
+  distance:   { label: "Total distance", unit: "mi" },
+  longestLeg: { label: "Longest leg",    unit: "hr" },
+  days:       { label: "Trip days",      unit: "days" }
 };
 
+// Per-stop visit lengths offered in the stops list (stop.visit). Key "" means
+// the stop uses tripRules.visitHoursPerPark.
+const VISIT_PRESETS = [
+  { key: "",     label: "Default visit" },
+  { key: "h1",   label: "1 hour",            visit: { hours: 1 } },
+  { key: "h2",   label: "2 hours",           visit: { hours: 2 } },
+  { key: "h3",   label: "3 hours",           visit: { hours: 3 } },
+  { key: "half", label: "Half day",          visit: { hours: 4 } },
+  { key: "d1",   label: "1 day · 1 night",   visit: { days: 1 } },
+  { key: "d2",   label: "2 days · 2 nights", visit: { days: 2 } },
+  { key: "d3",   label: "3 days · 3 nights", visit: { days: 3 } },
+  { key: "d4",   label: "4 days · 4 nights", visit: { days: 4 } },
+  { key: "d5",   label: "5 days · 5 nights", visit: { days: 5 } }
+];
+
 // Months (1-based) each park is typically fully or partially closed to road access.
 // Empty array means year-round accessible. Source: NPS seasonal info.
 const PARK_CLOSED_MONTHS = {
@@ -60,6 +110,15 @@ function assetUrl(relPath) {
 // still works even when docs/data/parks.json hasn't been built yet.
 let PARKS_DATA = [];
 
+// National (interagency) passes from docs/data/passes.json — [{title, cost}].
+// Empty until the file is built; annualPass() then falls back to the $80 pass.
+let NATIONAL_PASSES = [];
+
+// Pairwise park-to-park road miles/hours from docs/data/drive_matrix.json
+// (built by scripts/build_drive_matrix.mjs). Keys are "acad→yell"; only one
+// direction of each pair is stored. Stays null when the file isn't built.
+let DRIVE_MATRIX = null;
+
 /**
  * Load parks + stamp units from static JSON.
  * Falls back gracefully to the bundled window.PARKS / window.NPS_STAMPS if
@@ -99,16 +158,61 @@ async function loadStaticData() {
   if (!Array.isArray(window.NPS_STAMPS) || !window.NPS_STAMPS.length) {
     console.info("[data] Using bundled nps-stamps.js (units.json not found)");
   }
+
+  // ── national passes (optional) ────────────────────────────────────────────
+  try {
+    const res = await fetch(assetUrl("passes.json"));
+    if (res.ok) {
+      const json = await res.json();
+      if (Array.isArray(json?.passes)) NATIONAL_PASSES = json.passes;
+    }
+  } catch { /* annualPass() falls back to the standard annual pass */ }
+
+  // ── drive matrix (optional) ───────────────────────────────────────────────
+  await loadDriveMatrix();
+}
+
+/**
+ * Drive-matrix file for the active avoidances: drive_matrix.json, or the
+ * variant build_drive_matrix.mjs writes when run with AVOID=… (e.g.
+ * drive_matrix.avoid-ferries-tolls.json).
+ */
+function driveMatrixFile() {
+  const avoid = activeAvoidances();
+  return avoid.length ? `drive_matrix.avoid-${avoid.join("-")}.json` : "drive_matrix.json";
+}
+
+/**
+ * (Re)load DRIVE_MATRIX for the current avoidances. When no matching variant
+ * was built the matrix stays empty — unrestricted road times would be wrong.
+ */
+async function loadDriveMatrix() {
+  const file = driveMatrixFile();
+  DRIVE_MATRIX = null;
+  try {
+    const res = await fetch(assetUrl(file));
+    if (res.ok) {
+      const json = await res.json();
+      if (json?.matrix && typeof json.matrix === "object" && file === driveMatrixFile()) {
+        DRIVE_MATRIX = json.matrix;
+        console.info(`[data] Loaded ${Object.keys(DRIVE_MATRIX).length} drive-matrix pairs from ${file}`);
+      }
+    }
+  } catch { /* no matrix — legs fall back to Directions / straight-line estimates */ }
 }
 
 /* ===============================
    STATE
 ================================ */
 let selectedParks = []; // [{ id, name, coords:[lon,lat], locked:boolean }]
-let currentLegs = [];   // [{ fromId,toId, fromName,toName, miles, hours, geometry }]
+let currentLegs = [];   // [{ fromId,toId, fromName,toName, miles, hours, source, geometry, blocked? }]
 let selectedLegIndex = null;
 let dayPlan = [];
 let lastOptimizeSummary = null;
+let budgetSkippedIds = new Set(); // optional stops left out by day-budget mode
+let routeAlternatives = null;     // { legIndex, leg, stops, options:[{ miles, hours, geometry }], selected }
+const chosenLegRoutes = new Map(); // routeCacheKey → leg picked from its alternatives
+let visitEditingId = null;        // stop whose custom visit length is being entered
 
 let map = null;
 let markersById = new Map();
@@ -119,6 +223,8 @@ let routeUpdateTimer = null;
 
 let originPoint  = null;  // { lngLat: [lon, lat], label: string } | null
 let originMarker = null;  // mapboxgl.Marker instance | null
+let destinationPoint  = null;  // open-jaw end point, same shape as originPoint
+let destinationMarker = null;
 
 /* ===============================
    DOM (assigned in boot)
@@ -144,7 +250,6 @@ let clearBtn,
   startTimeEl,
   maxHoursEl,
   maxLegHoursEl,
-  breakMinsEl,
   speedMphEl,
   autoScheduleBtn;
 
@@ -199,12 +304,42 @@ function fmt(n, digits = 1) {
   return Number.isFinite(n) ? Number(n).toFixed(digits) : "—";
 }
 
+/** Text for an HTML template — stop names can come from imported files and share links. */
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
 /* Park closure helper */
 function isParkClosedInMonth(parkCode, month) {
   if (!month || !parkCode) return false;
   return (PARK_CLOSED_MONTHS[parkCode] ?? []).includes(month);
 }
 
+/* Trip calendar helpers (tripRules.startDate is local "YYYY-MM-DD") */
+/** Date of trip day `day` (1-based), or null when no start date is set. */
+function tripDayDate(day) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(tripRules.startDate || "");
+  if (!m) return null;
+  return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + day - 1);
+}
+
+/** "Wed, Oct 14" */
+function formatTripDate(date) {
+  return date.toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" });
+}
+
+/** Local date as "YYYY-MM-DD" */
+function isoDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** "Day 3" or "Day 3 · Wed, Oct 14" once the trip has a start date. */
+function tripDayLabel(day) {
+  const date = tripDayDate(day);
+  return date ? `Day ${day} · ${formatTripDate(date)}` : `Day ${day}`;
+}
+
 /* Compass bearing (degrees) from point a to point b — [lon,lat] arrays */
 function bearingBetween(a, b) {
   const toRad = (d) => (d * Math.PI) / 180;
@@ -243,8 +378,106 @@ function milesBetween(a, b) {
 }
 
 /**
- * Build legs from stops.
+ * NPS park code for a stop, or null for the origin / custom points.
+ * Park stops carry a PARKS_DATA index; stamp stops carry "stamp:<code>".
+ */
+function stopParkCode(stop) {
+  if (!stop) return null;
+  if (stop.source === "stamp") {
+    return typeof stop.id === "string" ? stop.id.replace(/^stamp:/, "") : null;
+  }
+  if (stop.source === "park" || typeof stop.id === "number") {
+    return PARKS_DATA[stop.id]?.parkCode ?? null;
+  }
+  return null;
+}
+
+/**
+ * Look up road miles/hours between two stops: first the pairs fetched at
+ * runtime (fillRuntimeMatrix), then the prebuilt drive matrix, which stores
+ * each pair once, so both key directions are tried.
+ * @returns {{ miles:number, hours:number }|null}
+ */
+function matrixLookup(fromStop, toStop) {
+  const runtimeHit = runtimeMatrix.get(runtimeMatrixKey(fromStop.coords, toStop.coords));
+  if (runtimeHit) return runtimeHit;
+
+  if (!DRIVE_MATRIX) return null;
+  const a = stopParkCode(fromStop);
+  const b = stopParkCode(toStop);
+  if (!a || !b || a === b) return null;
+  const hit = DRIVE_MATRIX[`${a}→${b}`] ?? DRIVE_MATRIX[`${b}→${a}`];
+  if (!hit || !Number.isFinite(hit.miles) || !Number.isFinite(hit.hours)) return null;
+  return { miles: hit.miles, hours: hit.hours };
+}
+
+// Road miles/hours fetched from the routing provider's matrix endpoint for
+// pairs the prebuilt matrix lacks (origin, destination, stamps, …).
+// Keyed by runtimeMatrixKey(); filled by fillRuntimeMatrix().
+const runtimeMatrix = new Map();
+
+/** runtimeMatrix key: the pair plus the avoidances it was routed under. */
+function runtimeMatrixKey(fromCoords, toCoords) {
+  return `${activeAvoidances().join(",")}|${coordKey(fromCoords)}→${coordKey(toCoords)}`;
+}
+
+/** Stable key for a coordinate, rounded to ~10 m. */
+function coordKey(coords) {
+  return `${coords[0].toFixed(4)},${coords[1].toFixed(4)}`;
+}
+
+/**
+ * Fetch one provider matrix covering every stop pair that neither the
+ * prebuilt drive matrix nor runtimeMatrix knows yet, so the optimizer can
+ * score real road legs. Skipped when the stops exceed the provider's matrix
+ * size; failures leave the straight-line fallback in place.
+ */
+async function fillRuntimeMatrix(stops) {
+  const unique = [...new Map(stops.map((s) => [coordKey(s.coords), s])).values()];
+  if (unique.length < 2 || unique.length > ROUTING.maxMatrixPoints) return;
+
+  const missing = unique.some((a) => unique.some((b) =>
+    a !== b && !matrixLookup(a, b)
+  ));
+  if (!missing) return;
+
+  const result = await ROUTING.matrix(unique.map((s) => s.coords), {
+    signal: routeRequestController?.signal,
+    avoid: activeAvoidances()
+  });
+  if (!result) return;
+
+  unique.forEach((a, i) => unique.forEach((b, j) => {
+    const meters  = result.distances[i]?.[j];
+    const seconds = result.durations[i]?.[j];
+    if (i === j || !Number.isFinite(meters) || !Number.isFinite(seconds)) return;
+    runtimeMatrix.set(runtimeMatrixKey(a.coords, b.coords), {
+      miles: meters / METERS_PER_MILE,
+      hours: seconds / 3600
+    });
+  }));
+}
+
+/**
+ * Best available drive estimate between two stops without a network call:
+ * the prebuilt or runtime drive matrix when the pair exists, otherwise
+ * straight-line miles at tripRules.speedMph.
+ * @returns {{ miles:number, hours:number, source:"matrix"|"estimate" }}
+ */
+function driveEstimate(fromStop, toStop) {
+  const hit = matrixLookup(fromStop, toStop);
+  if (hit) return { ...hit, source: "matrix" };
+  const miles = milesBetween(fromStop.coords, toStop.coords);
+  return { miles, hours: miles / Math.max(1, tripRules.speedMph), source: "estimate" };
+}
+
+/**
+ * Build legs from stops (as returned by routeStops(), so the origin and an
+ * open-jaw destination are already the first and last entries).
  * If roundTrip is ON, include last -> first leg.
+ * Each leg records where its numbers came from in `source`:
+ * "matrix" (prebuilt or runtime drive matrix), "directions" (routing provider leg)
+ * or "estimate" (straight-line miles at tripRules.speedMph).
  */
 function buildLegs(orderedStops, roundTripOn) {
   currentLegs = [];
@@ -256,8 +489,7 @@ function buildLegs(orderedStops, roundTripOn) {
     const from = stopsForLegs[i];
     const to = stopsForLegs[i + 1];
 
-    const miles = milesBetween(from.coords, to.coords);
-    const hours = miles / Math.max(1, tripRules.speedMph);
+    const { miles, hours, source } = driveEstimate(from, to);
 
     currentLegs.push({
       fromId: from.id,
@@ -266,54 +498,182 @@ function buildLegs(orderedStops, roundTripOn) {
       toName: to.name,
       miles,
       hours,
+      source,
       geometry: { type: "LineString", coordinates: [] } // filled later
     });
   }
 }
 
+const METERS_PER_MILE = 1609.344;
+
+// Each routing provider caps the waypoints per request (25 for Mapbox
+// Directions v5). Longer trips are split into chunks that share their
+// boundary waypoint.
+const DIRECTIONS_MAX_WAYPOINTS = ROUTING.maxWaypoints;
+
 /**
- * Fetch a route LineString using Mapbox Directions if possible.
- * Always returns a fallback straight-line geometry on failure.
- * @returns {{ geometry: GeoJSON.LineString|null }}
+ * Fetch a route LineString from the routing provider if possible.
+ * Legs already in the route cache (see ROUTE CACHE) are reused as-is; only
+ * runs of uncached legs are requested, so editing one stop re-fetches just
+ * the legs around it and a fully cached trip renders without the network.
+ * Runs longer than DIRECTIONS_MAX_WAYPOINTS waypoints are requested as
+ * overlapping chunks in parallel and stitched back together; a chunk that
+ * fails falls back to straight lines between its own waypoints only.
+ * Legs the user picked from a leg's alternatives (chosenLegRoutes) win over
+ * both, so a recompute keeps them.
+ * `legs` has one entry per consecutive waypoint pair: the road distance,
+ * duration and geometry of that Directions leg, or null where the leg's chunk
+ * failed. `legs` itself is null when every chunk failed.
+ * @returns {{ geometry: GeoJSON.LineString|null, legs: ({miles:number, hours:number, geometry:GeoJSON.LineString|null}|null)[]|null }}
  */
 async function fetchDirectionsGeometry(orderedStops, roundTripOn) {
-  if (!orderedStops || orderedStops.length < 2) return { geometry: null };
+  if (!orderedStops || orderedStops.length < 2) return { geometry: null, legs: null };
 
   const stopsForRoute = roundTripOn ? [...orderedStops, orderedStops[0]] : [...orderedStops];
-  const fallbackGeom  = {
-    type: "LineString",
-    coordinates: stopsForRoute.map((s) => s.coords)
+  const legCount = stopsForRoute.length - 1;
+  const cached = (await routeCacheGetLegs(stopsForRoute)).map((leg, i) =>
+    chosenLegRoutes.get(routeCacheKey(stopsForRoute[i], stopsForRoute[i + 1])) ?? leg);
+
+  // Runs of consecutive uncached legs, split into provider-sized chunks
+  const chunks = []; // { start: first leg index, stops }
+  for (let i = 0; i < legCount; ) {
+    if (cached[i]) { i++; continue; }
+    let j = i;
+    while (j < legCount && !cached[j]) j++;
+    for (let k = i; k < j; k += DIRECTIONS_MAX_WAYPOINTS - 1) {
+      chunks.push({ start: k, stops: stopsForRoute.slice(k, Math.min(j, k + DIRECTIONS_MAX_WAYPOINTS - 1) + 1) });
+    }
+    i = j;
+  }
+
+  const results = await Promise.all(chunks.map(async ({ stops }) => {
+    const result = await fetchDirectionsChunk(stops);
+    return result?.noRoute ? probeChunkLegs(stops) : result;
+  }));
+
+  const legs = [...cached];
+  const pieces = cached.map((leg, i) => leg && { start: i, coords: leg.geometry?.coordinates });
+  results.forEach((result, k) => {
+    const { start, stops } = chunks[k];
+    if (!result) {
+      console.warn(`fetchDirectionsGeometry: chunk ${k + 1}/${chunks.length} failed, using straight-line fallback`);
+    }
+    pieces[start] = { start, coords: result?.geometry.coordinates ?? stops.map((s) => s.coords) };
+    for (let i = 0; i < stops.length - 1; i++) legs[start + i] = result?.legs?.[i] ?? null;
+  });
+
+  // Stitch cached legs and fetched chunks back together in trip order
+  const coordinates = [];
+  pieces.forEach((piece) => {
+    if (!piece) return;
+    const fallback = [stopsForRoute[piece.start].coords, stopsForRoute[piece.start + 1].coords];
+    appendCoords(coordinates, piece.coords?.length >= 2 ? piece.coords : fallback);
+  });
+
+  routeCachePutLegs(stopsForRoute, legs.map((leg, i) => (cached[i] ? null : leg)));
+
+  return {
+    geometry: { type: "LineString", coordinates },
+    legs: legs.some(Boolean) ? legs : null
   };
+}
 
-  // Mapbox Directions v5 accepts at most 25 waypoints
-  if (stopsForRoute.length > 25) {
-    console.warn("fetchDirectionsGeometry: too many waypoints (>25), using straight-line fallback");
-    return { geometry: fallbackGeom };
-  }
+/**
+ * One directions request for ≤ DIRECTIONS_MAX_WAYPOINTS waypoints, routed
+ * around the active avoidances.
+ * Returns { geometry, legs, alternatives }, { noRoute: true } when the
+ * provider says the stops can't be connected, or null on any other failure
+ * except an abort, which is rethrown so updateRoute() can drop the stale request.
+ */
+async function fetchDirectionsChunk(stops, alternatives = false) {
+  const routes = await ROUTING.directions(
+    stops.map((s) => s.coords),
+    { signal: routeRequestController?.signal, alternatives, avoid: activeAvoidances() }
+  );
+  if (!routes) return null;
+  if (!routes.length) return { noRoute: true };
 
-  try {
-    const coords = stopsForRoute.map((s) => s.coords.join(",")).join(";");
-    const url =
-      `https://api.mapbox.com/directions/v5/mapbox/driving/${coords}` +
-      `?geometries=geojson&overview=full&access_token=${mapboxgl.accessToken}`;
+  const toResult = (route) => {
+    const legs = parseDirectionsLegs(route.legs, stops.length - 1);
+    return { geometry: route.geometry, legs: legs ?? new Array(stops.length - 1).fill(null) };
+  };
+  return { ...toResult(routes[0]), alternatives: routes.slice(1).map(toResult) };
+}
 
-    const res = await fetch(url, { signal: routeRequestController?.signal });
-    if (!res.ok) return { geometry: fallbackGeom };
+/**
+ * A chunk with no route means at least one of its legs can't be driven (often
+ * because of an avoidance). Route each leg on its own so the drivable ones
+ * keep road numbers and the impossible ones come back as { blocked: true }.
+ */
+async function probeChunkLegs(chunk) {
+  const pairs = [];
+  for (let i = 0; i < chunk.length - 1; i++) pairs.push([chunk[i], chunk[i + 1]]);
+
+  const results = pairs.length > 1
+    ? await Promise.all(pairs.map((pair) => fetchDirectionsChunk(pair)))
+    : [{ noRoute: true }];
+
+  const coordinates = [];
+  const legs = results.map((r, i) => {
+    appendCoords(coordinates, r?.geometry?.coordinates ?? pairs[i].map((s) => s.coords));
+    if (r?.noRoute) return { blocked: true };
+    return r?.legs?.[0] ?? null;
+  });
+  return { geometry: { type: "LineString", coordinates }, legs };
+}
 
-    const json = await res.json();
-    const geom = json?.routes?.[0]?.geometry;
+/** Append coords to a stitched line, skipping a repeated join point. */
+function appendCoords(target, coords) {
+  coords.forEach((c) => {
+    const last = target[target.length - 1];
+    if (last && last[0] === c[0] && last[1] === c[1]) return;
+    target.push(c);
+  });
+}
+
+/**
+ * Convert `routes[0].legs` (meters / seconds) into miles / hours, with
+ * each leg's own geometry stitched from its steps.
+ * Returns null unless there is exactly one finite leg per waypoint pair.
+ */
+function parseDirectionsLegs(rawLegs, expectedCount) {
+  if (!Array.isArray(rawLegs) || rawLegs.length !== expectedCount) return null;
+  const legs = rawLegs.map((l) => {
+    const coordinates = [];
+    (l?.steps ?? []).forEach((step) => appendCoords(coordinates, step?.geometry?.coordinates ?? []));
+    return {
+      miles: Number(l?.distance) / METERS_PER_MILE,
+      hours: Number(l?.duration) / 3600,
+      geometry: coordinates.length >= 2 ? { type: "LineString", coordinates } : null
+    };
+  });
+  return legs.every((l) => Number.isFinite(l.miles) && Number.isFinite(l.hours)) ? legs : null;
+}
 
-    if (geom?.type === "LineString" && Array.isArray(geom.coordinates) && geom.coordinates.length >= 2) {
-      return { geometry: geom };
+/**
+ * Overwrite currentLegs miles/hours (and geometry, when Directions returned
+ * steps) with the road numbers from Directions. Legs without a Directions
+ * entry keep their matrix / straight-line values and `source` as a fallback;
+ * legs the provider found no route for are flagged `blocked`.
+ */
+function applyDirectionsLegs(directionsLegs) {
+  if (!Array.isArray(directionsLegs) || directionsLegs.length !== currentLegs.length) return;
+  directionsLegs.forEach((d, i) => {
+    if (!d) return;
+    if (d.blocked) {
+      currentLegs[i].blocked = true;
+      return;
     }
-    return { geometry: fallbackGeom };
-  } catch {
-    return { geometry: fallbackGeom };
-  }
+    currentLegs[i].miles  = d.miles;
+    currentLegs[i].hours  = d.hours;
+    currentLegs[i].source = "directions";
+    if (d.geometry) currentLegs[i].geometry = d.geometry;
+  });
 }
 
 /**
  * Slice full route geometry into per-leg geometries for highlighting.
+ * Legs that already carry their own Directions geometry are left untouched.
  */
 function attachLegGeometriesFromRoute(fullGeometry, orderedStops, roundTripOn) {
   try {
@@ -328,6 +688,8 @@ function attachLegGeometriesFromRoute(fullGeometry, orderedStops, roundTripOn) {
     const line = turf.lineString(fullGeometry.coordinates);
 
     for (let i = 0; i < stopsForLegs.length - 1; i++) {
+      if (currentLegs[i].geometry?.coordinates?.length >= 2) continue;
+
       const a = turf.point(stopsForLegs[i].coords);
       const b = turf.point(stopsForLegs[i + 1].coords);
 
@@ -346,11 +708,139 @@ function attachLegGeometriesFromRoute(fullGeometry, orderedStops, roundTripOn) {
   }
 }
 
+/* ===============================
+   ROUTE CACHE (IndexedDB)
+================================ */
+// Directions legs persisted across reloads, one record per leg. The key is the
+// leg's rounded endpoints plus every routing option that changes the answer
+// (provider, avoidances), so reordering stops reuses legs that still exist and
+// toggling an option simply misses. A leg's alternatives sit beside it under
+// the same key plus "|alternatives". Stale records are ignored after
+// ROUTE_CACHE_MAX_AGE_MS and overwritten on the next fetch.
+const ROUTE_CACHE_DB         = "npp_route_cache";
+const ROUTE_CACHE_STORE      = "legs";
+const ROUTE_CACHE_MAX_AGE_MS = 30 * 24 * 3600 * 1000;
+
+let routeCacheDbPromise = null;
+
+/** Open (once) the cache database; resolves to null where IndexedDB is unavailable. */
+function openRouteCache() {
+  if (!routeCacheDbPromise) {
+    routeCacheDbPromise = new Promise((resolve) => {
+      if (!window.indexedDB) { resolve(null); return; }
+      try {
+        const req = window.indexedDB.open(ROUTE_CACHE_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(ROUTE_CACHE_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => resolve(null);
+      } catch { resolve(null); } // e.g. SecurityError in some private modes
+    });
+  }
+  return routeCacheDbPromise;
+}
+
+function routeCacheKey(fromStop, toStop) {
+  return [
+    ROUTING.name,
+    activeAvoidances().join(",") || "-",
+    `${coordKey(fromStop.coords)}→${coordKey(toStop.coords)}`
+  ].join("|");
+}
+
+/**
+ * Cached leg for each consecutive pair in `stops` — { miles, hours, geometry }
+ * or { blocked: true } — or null where there is no fresh record.
+ */
+async function routeCacheGetLegs(stops) {
+  const misses = new Array(Math.max(0, stops.length - 1)).fill(null);
+  const db = await openRouteCache();
+  if (!db) return misses;
+
+  try {
+    const store = db.transaction(ROUTE_CACHE_STORE, "readonly").objectStore(ROUTE_CACHE_STORE);
+    const now = Date.now();
+    return await Promise.all(misses.map((_, i) => new Promise((resolve) => {
+      const req = store.get(routeCacheKey(stops[i], stops[i + 1]));
+      req.onsuccess = () => {
+        const rec = req.result;
+        resolve(rec && now - rec.cachedAt < ROUTE_CACHE_MAX_AGE_MS ? rec.leg : null);
+      };
+      req.onerror = () => resolve(null);
+    })));
+  } catch (e) {
+    console.warn("routeCacheGetLegs: cache read failed:", e.message);
+    return misses;
+  }
+}
+
+/**
+ * Store legs for consecutive pairs in `stops`. Null entries and legs without
+ * road numbers or geometry are skipped; blocked legs are kept so a known
+ * impossible leg isn't re-requested. Fire-and-forget.
+ */
+async function routeCachePutLegs(stops, legs) {
+  const db = await openRouteCache();
+  if (!db || !Array.isArray(legs)) return;
+
+  try {
+    const store = db.transaction(ROUTE_CACHE_STORE, "readwrite").objectStore(ROUTE_CACHE_STORE);
+    const cachedAt = Date.now();
+    legs.forEach((leg, i) => {
+      if (!leg || !stops[i + 1]) return;
+      const usable = leg.blocked || (Number.isFinite(leg.miles) && leg.geometry?.coordinates?.length >= 2);
+      if (!usable) return;
+      const value = leg.blocked ? { blocked: true } : { miles: leg.miles, hours: leg.hours, geometry: leg.geometry };
+      store.put({ leg: value, cachedAt }, routeCacheKey(stops[i], stops[i + 1]));
+    });
+  } catch (e) {
+    console.warn("routeCachePutLegs: cache write failed:", e.message);
+  }
+}
+
+/**
+ * Cached alternatives for the leg from `fromStop` to `toStop` — the options
+ * loadLegAlternatives() offers, recommended first — or null if none are fresh.
+ */
+async function routeCacheGetAlternatives(fromStop, toStop) {
+  const db = await openRouteCache();
+  if (!db) return null;
+
+  try {
+    const store = db.transaction(ROUTE_CACHE_STORE, "readonly").objectStore(ROUTE_CACHE_STORE);
+    return await new Promise((resolve) => {
+      const req = store.get(`${routeCacheKey(fromStop, toStop)}|alternatives`);
+      req.onsuccess = () => {
+        const rec = req.result;
+        resolve(rec && Date.now() - rec.cachedAt < ROUTE_CACHE_MAX_AGE_MS ? rec.options : null);
+      };
+      req.onerror = () => resolve(null);
+    });
+  } catch (e) {
+    console.warn("routeCacheGetAlternatives: cache read failed:", e.message);
+    return null;
+  }
+}
+
+/** Store a leg's alternatives alongside its leg record. Fire-and-forget. */
+async function routeCachePutAlternatives(fromStop, toStop, options) {
+  const db = await openRouteCache();
+  if (!db) return;
+
+  try {
+    const store = db.transaction(ROUTE_CACHE_STORE, "readwrite").objectStore(ROUTE_CACHE_STORE);
+    store.put({ options, cachedAt: Date.now() }, `${routeCacheKey(fromStop, toStop)}|alternatives`);
+  } catch (e) {
+    console.warn("routeCachePutAlternatives: cache write failed:", e.message);
+  }
+}
+
 /* ===============================
    OPTIMIZATION
 ================================ */
 /**
- * Nearest-neighbor route with optional no-backtracking penalty.
+ * Nearest-neighbor route scored by tripRules.optimizeObjective (with the
+ * optional no-backtracking penalty), followed by a 2-opt / Or-opt
+ * local-search pass (see improveStopOrder).
  * Respects locked stops by keeping them in their original indices.
  * Optional parks (mustSee === false) are included normally in ordering;
  * they may be dropped later by generateDayPlan if the day fills up.
@@ -359,9 +849,9 @@ async function computeStopOrder() {
   const beforeOrder = selectedParks.map((s) => s.name);
 
   // Need at least 2 unlocked stops to optimize.
-  // When an origin is set the effective trip has origin + N stops, so 2 stops
-  // is enough to be worth optimizing; without an origin we need ≥3 stops.
-  const minForOptimize = originPoint ? 2 : 3;
+  // When an origin or destination is set the effective trip has an extra fixed
+  // endpoint, so 2 stops is enough to be worth optimizing; otherwise we need ≥3.
+  const minForOptimize = originPoint || destinationPoint ? 2 : 3;
   if (!optimizeToggle?.checked || selectedParks.length < minForOptimize) {
     return { orderedStops: [...selectedParks], optimized: false, beforeOrder };
   }
@@ -383,12 +873,12 @@ async function computeStopOrder() {
   // • If an origin is set, seed from the origin coordinates so the first stop
   //   picked is the one nearest the user's actual departure point.
   // • Otherwise fall back to the first unlocked stop as before.
-  let seedCoords;
+  let seedStop;
   let route = [];
 
   if (originPoint) {
     // All unlocked stops are candidates for the first pick — none pre-selected.
-    seedCoords = originPoint.lngLat;
+    seedStop = { id: "__origin__", coords: originPoint.lngLat, source: "origin" };
   } else {
     // No origin: pin selectedParks[0] (or first unlocked) as the starting stop.
     let start = selectedParks[0];
@@ -397,23 +887,48 @@ async function computeStopOrder() {
     }
     route.push(start);
     remaining.delete(start.id);
-    seedCoords = start.coords;
+    seedStop = start;
   }
 
-  // Greedy nearest-neighbour loop
+  // Greedy nearest-neighbour loop, scored under tripRules.optimizeObjective:
+  // each pick is the candidate with the lowest [primary, penalised miles]
+  // cost (see costLess), where the primary is
+  // • distance   — the penalised miles themselves;
+  // • longestLeg — the longest leg hours so far including this one;
+  // • days       — whether the leg still fits in the last day of the tour so
+  //   far (packed as in the day plan), so stops fill the day before a new one.
+  const objective = tripRules.optimizeObjective;
+  let longestHours = 0;
+
   while (remaining.size) {
-    const prevCoords = route.length >= 2 ? route[route.length - 2].coords : null;
-    const lastCoords = route.length >= 1 ? route[route.length - 1].coords : seedCoords;
-    const prevBearing = (route.length >= 2 && prevCoords)
-      ? bearingBetween(prevCoords, lastCoords)
+    const prevStop = route.length >= 2 ? route[route.length - 2] : null;
+    const lastStop = route.length >= 1 ? route[route.length - 1] : seedStop;
+    const lastCoords = lastStop.coords;
+    const prevBearing = prevStop
+      ? bearingBetween(prevStop.coords, lastCoords)
       : null;
 
+    // Today's drive and active minutes at the end of the tour so far
+    let today = null;
+    if (objective === "days") {
+      const chain = originPoint ? [seedStop, ...route] : route;
+      const legs = chain.slice(1).map((s, i) => ({ hours: driveEstimate(chain[i], s).hours, fromStop: chain[i], toStop: s }));
+      if (legs.length) {
+        const { start, legs: input } = packInput(legs, () => true);
+        const { schedule } = packDriveDays(input, start);
+        today = schedule[schedule.length - 1] ?? null;
+      }
+    }
+
     let best = null;
-    let bestScore = Infinity;
+    let bestCost = null;
+    let bestHours = 0;
 
     for (const id of remaining) {
       const cand = byId.get(id);
-      let score = milesBetween(lastCoords, cand.coords);
+      // Road miles from the drive matrix when the pair exists, else straight-line
+      const { miles, hours } = driveEstimate(lastStop, cand);
+      let score = miles;
 
       // No-backtracking: add a penalty proportional to how much this leg
       // reverses the current direction of travel (max 2× the leg distance).
@@ -424,14 +939,29 @@ async function computeStopOrder() {
         score += penalty;
       }
 
-      if (score < bestScore) {
-        bestScore = score;
+      let cost;
+      if (objective === "longestLeg") {
+        cost = [Math.max(longestHours, hours), score];
+      } else if (objective === "days") {
+        const legMins = hours * 60;
+        const fits = !today || (
+          today.driveMins + legMins <= today.window.budgetMins &&
+          today.activeMins + legMins <= today.window.activeMins);
+        cost = [fits ? 0 : 1, score];
+      } else {
+        cost = [score, 0];
+      }
+
+      if (!bestCost || costLess(cost, bestCost)) {
+        bestCost = cost;
         best = cand;
+        bestHours = hours;
       }
     }
 
     route.push(best);
     remaining.delete(best.id);
+    longestHours = Math.max(longestHours, bestHours);
   }
 
   // Reinsert locked stops into original indices
@@ -444,7 +974,283 @@ async function computeStopOrder() {
     rebuilt[i] = route[r++];
   }
 
-  return { orderedStops: rebuilt, optimized: true, beforeOrder };
+  // Without an origin the greedy start stop is the trip's fixed seed, so it is
+  // pinned in its slot alongside the locked stops.
+  const pinned = new Set(lockedByIndex.keys());
+  if (!originPoint) pinned.add(rebuilt.findIndex((p) => !p.locked));
+
+  const localSearch = improveStopOrder(rebuilt, pinned, isRoundTrip());
+
+  return { orderedStops: localSearch.order, optimized: true, beforeOrder, localSearch };
+}
+
+// The local search runs on the main thread on every route update, so it
+// stops with the best order so far once this budget is spent.
+const LOCAL_SEARCH_BUDGET_MS = 200;
+
+/**
+ * Local-search improvement of a stop order: repeated 2-opt (reverse a run of
+ * stops) and Or-opt (move a run of 1–3 stops elsewhere) moves, keeping any
+ * move that lowers the route cost, until no move helps or
+ * LOCAL_SEARCH_BUDGET_MS runs out. Plain distance is scored by the legs a
+ * move changes; the other objectives re-score the whole tour.
+ *
+ * Only unpinned slots are permuted, so locked stops keep their indices. Legs
+ * run from the origin (if set) through every stop to the destination (if set)
+ * — or back to the start on round trips — and are scored by scoreLegs() under
+ * tripRules.optimizeObjective (with the no-backtracking penalty when on).
+ *
+ * @param {Array}       order     full stop order (locked stops already placed)
+ * @param {Set<number>} pinned    indices that must not move
+ * @param {boolean}     roundTripOn
+ * @returns {{ order:Array, objective:string, greedyValue:number, improvedValue:number, moves:number, timedOut:boolean }}
+ */
+function improveStopOrder(order, pinned, roundTripOn) {
+  const seed  = originPoint ? { id: "__origin__", coords: originPoint.lngLat, source: "origin" } : null;
+  const end   = destinationStop();
+  const nodes = seed ? [seed, ...order] : [...order];
+  const off   = seed ? 1 : 0;
+  if (end) nodes.push(end);
+
+  // Pairwise legs computed once (driveEstimate may hit turf)
+  const legAt = nodes.map((a) => nodes.map((b) => {
+    const est = a === b ? { miles: 0, hours: 0 } : driveEstimate(a, b);
+    return { miles: est.miles, hours: est.hours, bearing: bearingBetween(a.coords, b.coords), fromStop: a, toStop: b };
+  }));
+
+  // perm[i] = index into `order` of the stop placed at slot i; seqOf() turns
+  // it into the full node sequence the legs run along
+  const seqOf = (perm) => {
+    const seq = perm.map((i) => i + off);
+    if (seed) seq.unshift(0);
+    if (end) seq.push(nodes.length - 1);
+    else if (roundTripOn) seq.push(seq[0]);
+    return seq;
+  };
+  const scorePerm = (perm) => {
+    const seq = seqOf(perm);
+    const legs = [];
+    for (let k = 0; k < seq.length - 1; k++) legs.push(legAt[seq[k]][seq[k + 1]]);
+    return scoreLegs(legs);
+  };
+
+  const perm  = order.map((_, i) => i);
+  const slots = perm.filter((i) => !pinned.has(i));   // movable slot indices
+
+  // Write a candidate sequence of movable stops back into the free slots
+  const withValues = (values) => {
+    const next = [...perm];
+    slots.forEach((slot, k) => { next[slot] = values[k]; });
+    return next;
+  };
+
+  const greedy = scorePerm(perm);
+  let values   = slots.map((slot) => perm[slot]);
+  let best     = greedy;
+  let moves    = 0;
+  let timedOut = false;
+  const MAX_PASSES = 50;
+  const deadline = Date.now() + LOCAL_SEARCH_BUDGET_MS;
+
+  // Distance without the backtracking penalty is a plain sum of leg miles, so
+  // a move that rewrites values[lo..hi] only changes the legs from the node
+  // before values[lo] to the node after values[hi]. (A round trip closing on
+  // a movable first stop would break that, but the first stop is always
+  // the origin or pinned.)
+  const additive = tripRules.optimizeObjective === "distance" && !tripRules.noBacktracking &&
+    !(roundTripOn && !end && !seed && !pinned.has(0));
+  const baseSeq    = seqOf(perm);
+  const valuePos   = slots.map((slot) => slot + off);   // seq position of values[k]
+  const valueAtPos = baseSeq.map(() => -1);
+  valuePos.forEach((pos, k) => { valueAtPos[pos] = k; });
+  const milesAround = (vals, lo, hi) => {
+    const nodeAt = (pos) => (valueAtPos[pos] >= 0 ? vals[valueAtPos[pos]] + off : baseSeq[pos]);
+    const from = Math.max(0, valuePos[lo] - 1);
+    const to   = Math.min(baseSeq.length - 1, valuePos[hi] + 1);
+    let sum = 0;
+    for (let pos = from; pos < to; pos++) sum += legAt[nodeAt(pos)][nodeAt(pos + 1)].miles;
+    return sum;
+  };
+
+  const tryCandidate = (cand, lo, hi) => {
+    if (additive) {
+      if (milesAround(cand, lo, hi) >= milesAround(values, lo, hi) - 1e-6) return false;
+      values = cand; moves++;
+      return true;
+    }
+    const sc = scorePerm(withValues(cand));
+    if (!costLess(sc.cost, best.cost)) return false;
+    values = cand; best = sc; moves++;
+    return true;
+  };
+  const outOfTime = () => (timedOut = timedOut || Date.now() > deadline);
+
+  for (let pass = 0; pass < MAX_PASSES && !outOfTime(); pass++) {
+    let improved = false;
+
+    // 2-opt: reverse values[i..j]
+    for (let i = 0; i < values.length - 1 && !outOfTime(); i++) {
+      for (let j = i + 1; j < values.length && !outOfTime(); j++) {
+        const cand = [...values.slice(0, i), ...values.slice(i, j + 1).reverse(), ...values.slice(j + 1)];
+        if (tryCandidate(cand, i, j)) improved = true;
+      }
+    }
+
+    // Or-opt: move a run of 1–3 stops to another position
+    for (let len = 1; len <= 3; len++) {
+      for (let i = 0; i + len <= values.length && !outOfTime(); i++) {
+        const seg  = values.slice(i, i + len);
+        const rest = [...values.slice(0, i), ...values.slice(i + len)];
+        for (let k = 0; k <= rest.length && !outOfTime(); k++) {
+          if (k === i) continue; // same position
+          const cand = [...rest.slice(0, k), ...seg, ...rest.slice(k)];
+          if (tryCandidate(cand, Math.min(i, k), Math.max(i, k) + len - 1)) { improved = true; break; }
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  if (additive) best = scorePerm(withValues(values));
+
+  return {
+    order: withValues(values).map((i) => order[i]),
+    objective: tripRules.optimizeObjective,
+    greedyValue: greedy.value,
+    improvedValue: best.value,
+    moves,
+    timedOut
+  };
+}
+
+/**
+ * Score a leg sequence under tripRules.optimizeObjective.
+ * Each leg is { miles, hours, bearing, fromStop, toStop }.
+ * `value` is the objective in its display unit; `cost` is [objective, miles]
+ * compared lexicographically, where the miles tie-breaker carries the
+ * no-backtracking penalty (and for "distance" the penalty is in the objective).
+ * @returns {{ value:number, cost:[number, number], penalisedMiles:number }}
+ */
+function scoreLegs(legs) {
+  let miles = 0;
+  let penalisedMiles = 0;
+  let longest = 0;
+  let prevBearing = null;
+
+  for (const leg of legs) {
+    miles += leg.miles;
+    penalisedMiles += leg.miles;
+    if (tripRules.noBacktracking && prevBearing !== null && leg.miles > 0) {
+      penalisedMiles += (bearingDiff(prevBearing, leg.bearing) / 180) * leg.miles;
+    }
+    prevBearing = leg.bearing;
+    longest = Math.max(longest, leg.hours);
+  }
+
+  switch (tripRules.optimizeObjective) {
+    case "longestLeg":
+      return { value: longest, cost: [longest, penalisedMiles], penalisedMiles };
+    case "days": {
+      const days = countDriveDays(legs);
+      return { value: days, cost: [days, penalisedMiles], penalisedMiles };
+    }
+    default:
+      return { value: miles, cost: [penalisedMiles, 0], penalisedMiles };
+  }
+}
+
+/** Lexicographic "a is meaningfully smaller than b" for scoreLegs() costs. */
+function costLess(a, b) {
+  const EPS = 1e-6;
+  if (a[0] < b[0] - EPS) return true;
+  if (a[0] > b[0] + EPS) return false;
+  return a[1] < b[1] - EPS;
+}
+
+/**
+ * Day-budget mode (tripRules.tripDays > 0): choose which optional stops fit.
+ *
+ * Must-see and locked stops are always kept. Optional stops are then added
+ * greedily — each round adds the stop that costs the fewest extra days (then
+ * the fewest penalised miles) — as long as the trip still packs into tripDays
+ * days and no leg touching the new stop breaks the single-leg limit or the
+ * daily driving window. Every stop is driven in its place in `orderedStops`,
+ * so the user's order and locked positions hold; with Optimize on that order
+ * is already the optimized tour. Optional parks closed in the travel month
+ * are never added while closure warnings are on.
+ *
+ * @param {Array}   orderedStops  stops in their current (possibly optimized) order
+ * @param {boolean} roundTripOn
+ * @returns {{ keptStops:Array, skippedStops:Array, days:number, requiredDays:number }}
+ */
+function fitOptionalStops(orderedStops, roundTripOn) {
+  const seed = originPoint ? { id: "__origin__", coords: originPoint.lngLat, source: "origin" } : null;
+  const end  = destinationStop();
+  const maxLegHours = tripRules.maxSingleLegHours;
+
+  const isRequired = (s) => s.mustSee !== false || !!s.locked;
+  const visitDates = stopVisitDates();
+  const isClosed = (s) => {
+    if (!tripRules.filterClosedParks || s.source === "stamp") return false;
+    const park = PARKS_DATA[s.id];
+    return !!park && isParkClosedInMonth(park.parkCode, stopVisitMonth(s.id, visitDates));
+  };
+
+  // Days and penalised miles for a stop sequence, or null if it breaks a rule
+  const evaluate = (seq, added) => {
+    const stops = seed ? [seed, ...seq] : [...seq];
+    if (end) stops.push(end);
+    else if (roundTripOn && stops.length > 1) stops.push(stops[0]);
+
+    const legs = [];
+    for (let i = 0; i < stops.length - 1; i++) {
+      const est = driveEstimate(stops[i], stops[i + 1]);
+      if (added && (stops[i] === added || stops[i + 1] === added) && est.hours > maxLegHours) return null;
+      legs.push({
+        miles: est.miles,
+        hours: est.hours,
+        bearing: bearingBetween(stops[i].coords, stops[i + 1].coords),
+        fromStop: stops[i],
+        toStop: stops[i + 1]
+      });
+    }
+
+    const days = countDriveDays(legs, () => true);
+    return { days, miles: scoreLegs(legs).penalisedMiles };
+  };
+
+  const kept = new Set(orderedStops.filter(isRequired));
+  const base = evaluate(orderedStops.filter((s) => kept.has(s)), null);
+  const requiredDays = base.days;
+
+  let pool = orderedStops.filter((s) => !isRequired(s) && !isClosed(s));
+  let current = base;
+
+  while (pool.length && current.days <= tripRules.tripDays) {
+    let best = null;
+
+    for (const cand of pool) {
+      const seq = orderedStops.filter((s) => kept.has(s) || s === cand);
+      const sc = evaluate(seq, cand);
+      if (!sc || sc.days > tripRules.tripDays) continue;
+      if (!best || costLess([sc.days, sc.miles], [best.score.days, best.score.miles])) {
+        best = { cand, score: sc };
+      }
+    }
+
+    if (!best) break;
+    kept.add(best.cand);
+    pool = pool.filter((s) => s !== best.cand);
+    current = best.score;
+  }
+
+  return {
+    keptStops: orderedStops.filter((s) => kept.has(s)),
+    skippedStops: orderedStops.filter((s) => !kept.has(s)),
+    days: current.days,
+    requiredDays
+  };
 }
 
 /* ===============================
@@ -462,6 +1268,19 @@ function hoursToLabel(decimalHours) {
   return m === 0 ? `${h}h` : `${h}h ${m}m`;
 }
 
+/**
+ * Human-readable origin of a leg's miles/hours, used as a tooltip.
+ */
+const LEG_SOURCE_LABELS = {
+  matrix:     "Road distance from drive matrix",
+  directions: "Road distance from routing provider",
+  estimate:   "Straight-line estimate"
+};
+
+function legSourceLabel(source) {
+  return LEG_SOURCE_LABELS[source] ?? LEG_SOURCE_LABELS.estimate;
+}
+
 /**
  * Refresh the "leg-labels" GeoJSON source with midpoint features.
  * Called after legs are built and geometries attached.
@@ -518,6 +1337,9 @@ function highlightLeg(index) {
   const geom = leg?.geometry?.type === "LineString" ? leg.geometry : null;
 
   setGeoJSON("route-highlight", geom?.coordinates?.length ? { type: "Feature", geometry: geom } : emptyLineStringFeature());
+
+  // Alternatives follow the highlighted leg
+  if (routeAlternatives?.leg !== leg) loadLegAlternatives(i);
 }
 
 /* ===============================
@@ -531,6 +1353,14 @@ function updateActionAvailability() {
   if (optimizeToggle) optimizeToggle.disabled = !canOptimize;
   if (autoScheduleBtn) autoScheduleBtn.disabled = !hasRoute;
   if (exportCsvBtn) exportCsvBtn.disabled = !hasRoute;
+  const icsBtn = document.getElementById("export-ics");
+  if (icsBtn) icsBtn.disabled = !hasRoute;
+  const gpxBtn = document.getElementById("export-gpx");
+  if (gpxBtn) gpxBtn.disabled = !hasRoute;
+  const kmlBtn = document.getElementById("export-kml");
+  if (kmlBtn) kmlBtn.disabled = !hasRoute;
+  const geojsonBtn = document.getElementById("export-geojson");
+  if (geojsonBtn) geojsonBtn.disabled = !hasRoute;
   if (copyBriefBtn) copyBriefBtn.disabled = !hasRoute;
 
   const reverseBtn = document.getElementById("reverse-route");
@@ -562,12 +1392,31 @@ function validateRules() {
   }
 }
 
+/**
+ * In day-budget mode the chosen optional stops depend on the rules and on
+ * must-see flags, so re-run the route whenever those change.
+ */
+function refitDayBudget() {
+  if (tripRules.tripDays > 0) debounceRouteUpdate(120);
+}
+
+/**
+ * Once the trip has a start date, closures follow each stop's date in the
+ * day plan and the travel-month picker no longer applies.
+ */
+function syncTravelMonthInput() {
+  const el = document.getElementById("travel-month");
+  if (!el) return;
+  el.disabled = !!tripDayDate(1);
+  el.title = el.disabled ? "Closures are checked against each stop's date from your start date" : "";
+}
+
 function renderStatus() {
   const isOptimized = !!optimizeToggle?.checked;
-  const isRoundTrip = !!roundTripToggle?.checked;
+  const tripKind = destinationPoint ? "Open-jaw" : isRoundTrip() ? "Round trip" : "One-way";
 
   if (statusModeEl) statusModeEl.textContent = isOptimized ? "Optimized" : "Manual";
-  if (statusTripEl) statusTripEl.textContent = isRoundTrip ? "Round trip" : "One-way";
+  if (statusTripEl) statusTripEl.textContent = tripKind;
 
   // IMPORTANT: HTML already prints "parks" next to the number in many layouts.
   // So we set ONLY the number here (prevents "0 parks parks").
@@ -578,37 +1427,41 @@ function renderStatus() {
    MARKERS (numbered)
 ================================ */
 function ensureMarkers() {
-  PARKS_DATA.forEach((p, i) => {
-    const id = i;
-    if (markersById.has(id)) return;
+  PARKS_DATA.forEach((p, i) => addStopMarker(i, [p.lon, p.lat]));
+}
 
-    const el = document.createElement("div");
-    el.className = "park-marker";
-    el.style.display = "none";
+/** Hidden numbered marker for a stop id; updateMarkerNumbers() shows it. */
+function addStopMarker(id, lngLat) {
+  if (markersById.has(id)) return;
 
-    const badge = document.createElement("div");
-    badge.className = "park-marker__badge";
-    el.appendChild(badge);
+  const el = document.createElement("div");
+  el.className = "park-marker";
+  el.style.display = "none";
 
-    const marker = new mapboxgl.Marker({ element: el, anchor: "bottom" })
-      .setLngLat([p.lon, p.lat])
-      .addTo(map);
+  const badge = document.createElement("div");
+  badge.className = "park-marker__badge";
+  el.appendChild(badge);
 
-    markersById.set(id, marker);
-    labelsById.set(id, badge);
-  });
+  const marker = new mapboxgl.Marker({ element: el, anchor: "bottom" })
+    .setLngLat(lngLat)
+    .addTo(map);
+
+  markersById.set(id, marker);
+  labelsById.set(id, badge);
 }
 
 function updateMarkerNumbers() {
   for (const [id, marker] of markersById.entries()) {
     const el = marker.getElement();
     el.style.display = "none";
-    el.classList.remove("is-locked");
+    el.classList.remove("is-locked", "is-skipped");
     const badge = labelsById.get(id);
     if (badge) badge.textContent = "";
   }
 
   selectedParks.forEach((p, idx) => {
+    // Imported custom stops get their marker on first use
+    if (p.source === "custom" && map) addStopMarker(p.id, p.coords);
     const marker = markersById.get(p.id);
     const badge = labelsById.get(p.id);
     if (!marker || !badge) return;
@@ -617,6 +1470,7 @@ function updateMarkerNumbers() {
     el.style.display = "grid";
     badge.textContent = String(idx + 1);
     el.classList.toggle("is-locked", !!p.locked);
+    el.classList.toggle("is-skipped", budgetSkippedIds.has(p.id));
   });
 }
 
@@ -629,15 +1483,9 @@ function computeViolations(legs) {
 
   if (!legs.length) return issues;
 
-  // Wake/sleep window
-  const wakeMins  = hhmmToMins(tripRules.wakeHHMM  || "08:00");
-  const sleepMins = hhmmToMins(tripRules.sleepHHMM || "20:00");
-  const breakMins = tripRules.breakMinutesPerDay || 0;
-  const windowMins = Math.min(
-    Math.max(0, sleepMins - wakeMins - breakMins),
-    tripRules.maxDriveHoursPerDay * 60
-  );
-  const windowHours = windowMins / 60;
+  // Driving one day allows: the first day's window (as the day plan packs
+  // it) less the rest stops and lunch that much driving brings
+  const windowHours = dayDriveMins(dayWindow(1, routeStops(selectedParks)[0]?.coords)) / 60;
 
   // Longest single leg
   const longest = legs.reduce((m, l) => Math.max(m, l.hours || 0), 0);
@@ -648,64 +1496,137 @@ function computeViolations(legs) {
     });
   }
 
-  // Leg exceeds the daily driving window
-  if (longest > windowHours) {
+  // Leg exceeds the daily driving window: the day plan splits it with
+  // overnight stops, but the user should still know it can't be done in a day
+  // (an empty window is a polar night, reported on its own below)
+  if (windowHours > 0 && longest > windowHours) {
+    const days = Math.ceil(longest / Math.max(0.1, windowHours));
     issues.push({
       type: "window",
-      text: `A leg (${fmt(longest)} hrs) exceeds your ${tripRules.wakeHHMM}–${tripRules.sleepHHMM} driving window of ${fmt(windowHours)} hrs.`
+      text: `A leg (${fmt(longest)} hrs) exceeds your ${tripRules.wakeHHMM}–${tripRules.sleepHHMM} driving window of ${fmt(windowHours)} hrs after breaks, so it takes ${days} days with overnight stops on the road.`
     });
   }
 
   // Total trip length
   const totalHours = legs.reduce((s, l) => s + (l.hours || 0), 0);
   const requiredDays = Math.max(1, Math.ceil(totalHours / Math.max(0.1, windowHours)));
-  if (requiredDays >= 10) {
+  if (windowHours > 0 && requiredDays >= 10) {
     issues.push({
       type: "days",
       text: `Trip requires ~${requiredDays} days. Consider raising max drive hours/day or reducing stops.`
     });
   }
 
-  // Backtracking detection (when no-backtracking is OFF, still warn)
-  if (legs.length >= 2) {
-    let backtrackCount = 0;
-    for (let i = 1; i < legs.length; i++) {
-      const b1 = bearingBetween(
-        selectedParks.find(p => p.id === legs[i-1].fromId)?.coords ?? [0,0],
-        selectedParks.find(p => p.id === legs[i-1].toId)?.coords ?? [0,0]
-      );
-      const b2 = bearingBetween(
-        selectedParks.find(p => p.id === legs[i].fromId)?.coords ?? [0,0],
-        selectedParks.find(p => p.id === legs[i].toId)?.coords ?? [0,0]
-      );
-      if (bearingDiff(b1, b2) > 120) backtrackCount++;
-    }
-    if (backtrackCount > 0) {
+  // Day budget: only must-see stops are left and they still don't fit
+  if (tripRules.tripDays > 0) {
+    const plannedDays = countLegDays(legs);
+    if (plannedDays > tripRules.tripDays) {
       issues.push({
-        type: "backtrack",
-        text: `${backtrackCount} leg${backtrackCount > 1 ? "s" : ""} reverse direction significantly.${tripRules.noBacktracking ? " No-backtracking is ON and may help." : " Enable no-backtracking to reduce this."}`
+        type: "days",
+        text: `Must-see stops need ~${plannedDays} days, more than your ${tripRules.tripDays}-day trip. Add days or mark some stops optional.`
       });
     }
   }
 
-  // Seasonal closures
-  if (tripRules.travelMonth) {
-    const closedParks = selectedParks.filter((p) => {
-      const park = PARKS_DATA[p.id];
-      return park && isParkClosedInMonth(park.parkCode, tripRules.travelMonth);
+  // Days packed past the drive limit or the day's window by a manual day break
+  const plan = planDays(legs).plan;
+  const overloaded = plan
+    .filter((d) => d.driveHours > tripRules.maxDriveHoursPerDay + 0.01 || d.overMins > 0)
+    .map((d) => {
+      const over = [];
+      if (d.driveHours > tripRules.maxDriveHoursPerDay + 0.01) over.push(`${fmt(d.driveHours)} hr of driving`);
+      if (d.overMins > 0) over.push(`${fmt(d.overMins / 60)} hr past ${tripRules.daylightOnly ? "daylight or " : ""}bedtime`);
+      return `${tripDayLabel(d.day)} (${over.join(", ")})`;
+    });
+  if (overloaded.length) {
+    issues.push({
+      type: "overload",
+      text: `${overloaded.length === 1 ? "1 day runs" : `${overloaded.length} days run`} over your ${fmt(tripRules.maxDriveHoursPerDay)} hr/day limit or wake–sleep window: ${overloaded.join(", ")}. Move a leg to another day in the day plan.`
     });
-    closedParks.forEach((p) => {
-      const monthName = new Date(2000, tripRules.travelMonth - 1).toLocaleString("default", { month: "long" });
+  }
+
+  // Daylight driving only on days the sun doesn't rise where they start
+  if (tripRules.daylightOnly) {
+    const sunless = plan
+      .filter((d) => d.sun && d.sun.sunset <= d.sun.sunrise)
+      .map((d) => tripDayLabel(d.day));
+    if (sunless.length) {
+      issues.push({
+        type: "daylight",
+        text: `No daylight to drive in (polar night) on ${sunless.join(", ")}. Turn off daylight driving only or change the trip dates.`
+      });
+    }
+  }
+
+  // Backtracking detection (when no-backtracking is OFF, still warn)
+  if (legs.length >= 2) {
+    let backtrackCount = 0;
+    // Include the virtual origin / destination stops so their legs have coords
+    const coordsById = new Map(routeStops(selectedParks).map((p) => [p.id, p.coords]));
+    for (let i = 1; i < legs.length; i++) {
+      const b1 = bearingBetween(
+        coordsById.get(legs[i-1].fromId) ?? [0,0],
+        coordsById.get(legs[i-1].toId) ?? [0,0]
+      );
+      const b2 = bearingBetween(
+        coordsById.get(legs[i].fromId) ?? [0,0],
+        coordsById.get(legs[i].toId) ?? [0,0]
+      );
+      if (bearingDiff(b1, b2) > 120) backtrackCount++;
+    }
+    if (backtrackCount > 0) {
       issues.push({
-        type: "closed",
-        text: `${p.name} may be closed or have limited access in ${monthName}.`
+        type: "backtrack",
+        text: `${backtrackCount} leg${backtrackCount > 1 ? "s" : ""} reverse direction significantly.${tripRules.noBacktracking ? " No-backtracking is ON and may help." : " Enable no-backtracking to reduce this."}`
       });
+    }
+  }
+
+  // Seasonal closures, checked against the month each stop is actually reached
+  const visitDates = stopVisitDates(legs);
+  selectedParks.forEach((p) => {
+    const park  = PARKS_DATA[p.id];
+    const month = stopVisitMonth(p.id, visitDates);
+    if (!park || !isParkClosedInMonth(park.parkCode, month)) return;
+    const monthName = new Date(2000, month - 1).toLocaleString("default", { month: "long" });
+    const date = visitDates.get(p.id);
+    issues.push({
+      type: "closed",
+      text: date
+        ? `${p.name} may be closed or have limited access on ${formatTripDate(date)} (${monthName}).`
+        : `${p.name} may be closed or have limited access in ${monthName}.`
+    });
+  });
+
+  // Arrivals after dark at the place and date they happen
+  const late = arrivalsAfterDark(legs);
+  if (late.length) {
+    const list = late
+      .map((a) => `${a.name} (${tripDayLabel(a.day)}, ${clockLabel(a.arriveMins, a.zone, zoneDate(a.day))}; sunset ${minsToHHMM(a.sunsetMins)})`)
+      .join(", ");
+    issues.push({
+      type: "dark",
+      text: `${late.length === 1 ? "1 arrival is" : `${late.length} arrivals are`} after dark: ${list}.` +
+        (tripRules.daylightOnly ? "" : " Turn on daylight driving only to finish each day's drive by sunset.")
+    });
+  }
+
+  // Legs with no drivable route (usually ruled out by an avoidance)
+  const blocked = legs.filter((l) => l.blocked);
+  if (blocked.length) {
+    const avoid = activeAvoidances().map((k) => AVOIDANCE_LABELS[k]);
+    const pairs = blocked.map((l) => `${l.fromName} → ${l.toName}`).join(", ");
+    issues.push({
+      type: "avoid",
+      text: avoid.length
+        ? `No route avoiding ${avoid.join(", ")} for ${pairs}. Turn off an avoidance or change the stops.`
+        : `No drivable route found for ${pairs}.`
     });
   }
 
   // Lock + round trip warning
   const lockedCount = selectedParks.filter((p) => p.locked).length;
-  if (optimizeToggle?.checked && lockedCount > 0 && roundTripToggle?.checked) {
+  if (optimizeToggle?.checked && lockedCount > 0 && isRoundTrip()) {
     issues.push({
       type: "lock",
       text: "Optimization with locked stops + round trip is constrained. Try one-way or unlock stops."
@@ -732,7 +1653,7 @@ function renderViolations(issues) {
     const row = document.createElement("div");
     row.className = "violations__item";
     if (it.type) row.dataset.type = it.type;
-    row.innerHTML = `<div class="dot"></div><div class="txt">${it.text}</div>`;
+    row.innerHTML = `<div class="dot"></div><div class="txt">${escapeHtml(it.text)}</div>`;
     list.appendChild(row);
   });
 
@@ -746,8 +1667,11 @@ function renderSummary(legs) {
   const totalHours = legs.reduce((s, l) => s + (l.hours || 0), 0);
   const longest = legs.reduce((m, l) => Math.max(m, l.hours || 0), 0);
 
-  totalMilesEl.textContent = `${fmt(totalMiles)} mi`;
-  totalHoursEl.textContent = `${fmt(totalHours)} hr`;
+  // "≈" marks totals that include straight-line estimates rather than road data
+  const approx = legs.some((l) => l.source === "estimate") ? "≈" : "";
+  totalMilesEl.textContent = `${approx}${fmt(totalMiles)} mi`;
+  totalHoursEl.textContent = `${approx}${fmt(totalHours)} hr`;
+  totalMilesEl.title = approx ? legSourceLabel("estimate") : "";
 
   if (legs.length) {
     const days = Math.max(1, Math.ceil(totalHours / tripRules.maxDriveHoursPerDay));
@@ -759,6 +1683,8 @@ function renderSummary(legs) {
     longestLegEl.textContent = "—";
     longestLegEl.classList.remove("is-bad");
   }
+
+  renderBudget(legs);
 }
 
 /* ===============================
@@ -770,16 +1696,23 @@ function renderOptimizeSummary(summary) {
   optSummaryEl.innerHTML = "";
   if (!summary) return;
 
+  // Highlight the before/after pair for the objective the optimizer minimized
+  const obj = (key) => (summary.objective === key ? ` class="is-objective"` : "");
+  const objectiveLabel = (OPTIMIZE_OBJECTIVES[summary.objective] ?? OPTIMIZE_OBJECTIVES.distance).label;
+
   const el = document.createElement("div");
   el.className = "optcard";
   el.innerHTML = `
-    <div class="optcard__title">Optimization Summary</div>
+    <div class="optcard__title">Optimization Summary <span class="optcard__objective">· ${objectiveLabel}</span></div>
     <div class="optcard__grid">
-      <div><span class="k">Miles (before)</span><span class="v">${fmt(summary.beforeMiles)} mi</span></div>
-      <div><span class="k">Miles (after)</span><span class="v">${fmt(summary.afterMiles)} mi</span></div>
-      <div><span class="k">Longest leg (before)</span><span class="v">${fmt(summary.beforeLongest)} hr</span></div>
-      <div><span class="k">Longest leg (after)</span><span class="v">${fmt(summary.afterLongest)} hr</span></div>
+      <div${obj("distance")}><span class="k">Miles (before)</span><span class="v">${fmt(summary.beforeMiles)} mi</span></div>
+      <div${obj("distance")}><span class="k">Miles (after)</span><span class="v">${fmt(summary.afterMiles)} mi</span></div>
+      <div${obj("longestLeg")}><span class="k">Longest leg (before)</span><span class="v">${fmt(summary.beforeLongest)} hr</span></div>
+      <div${obj("longestLeg")}><span class="k">Longest leg (after)</span><span class="v">${fmt(summary.afterLongest)} hr</span></div>
+      <div${obj("days")}><span class="k">Trip days (before)</span><span class="v">${fmt(summary.beforeDays, 0)}</span></div>
+      <div${obj("days")}><span class="k">Trip days (after)</span><span class="v">${fmt(summary.afterDays, 0)}</span></div>
     </div>
+    ${summary.localSearch ? `<div class="optcard__small">${localSearchNote(summary.localSearch)}</div>` : ""}
     <details class="optcard__order">
       <summary class="optcard__order-toggle">Stop order changes</summary>
       <div class="optcard__order-body mono">
@@ -791,6 +1724,27 @@ function renderOptimizeSummary(summary) {
   optSummaryEl.appendChild(el);
 }
 
+/** One-line description of what the 2-opt / Or-opt pass achieved. */
+function localSearchNote(ls) {
+  const note = localSearchResultNote(ls);
+  return ls.timedOut ? `${note} Stopped early to keep the page responsive.` : note;
+}
+
+function localSearchResultNote(ls) {
+  const { unit } = OPTIMIZE_OBJECTIVES[ls.objective] ?? OPTIMIZE_OBJECTIVES.distance;
+  const digits = ls.objective === "days" ? 0 : 1;
+  if (!ls.moves) {
+    return `2-opt / Or-opt pass: nearest-neighbour order already locally optimal (${fmt(ls.greedyValue, digits)} ${unit} est.).`;
+  }
+  const delta = ls.improvedValue - ls.greedyValue;
+  if (Math.abs(delta) < 1e-6) {
+    return `2-opt / Or-opt pass: ${fmt(ls.improvedValue, digits)} ${unit} est. unchanged; ` +
+      `${ls.moves} move${ls.moves > 1 ? "s" : ""} shortened the route within it.`;
+  }
+  return `2-opt / Or-opt pass: ${fmt(ls.greedyValue, digits)} → ${fmt(ls.improvedValue, digits)} ${unit} est. ` +
+    `(${delta <= 0 ? "−" : "+"}${fmt(Math.abs(delta), digits)} ${unit}, ${ls.moves} move${ls.moves > 1 ? "s" : ""}).`;
+}
+
 /* ===============================
    ITINERARY UI
 ================================ */
@@ -815,10 +1769,10 @@ function renderItinerary(legs) {
     row.innerHTML = `
       <div class="itin-row__num">${i + 1}</div>
       <div class="itin-row__main">
-        <div class="itin-row__leg">${leg.fromName} → ${leg.toName}</div>
+        <div class="itin-row__leg">${escapeHtml(leg.fromName)} → ${escapeHtml(leg.toName)}</div>
       </div>
-      <div class="itin-row__metrics">
-        <div>${fmt(leg.miles)} mi</div>
+      <div class="itin-row__metrics" title="${legSourceLabel(leg.source)}">
+        <div>${leg.source === "estimate" ? "≈" : ""}${fmt(leg.miles)} mi</div>
         <div>${fmt(leg.hours)} hr</div>
       </div>
     `;
@@ -827,17 +1781,912 @@ function renderItinerary(legs) {
   });
 }
 
+/* ===============================
+   TIME ZONES
+================================ */
+// Zone grid from timezones.json (built by scripts/build_timezones.mjs), with
+// its "zone:count" runs decoded:
+// { west, south, cell, cols, zones:[IANA id], rows:[[zoneIdx, endCol], …] }
+let timeZoneGrid    = null;
+let timeZoneLoading = false;
+
+async function loadTimeZoneData() {
+  if (timeZoneGrid)    return timeZoneGrid;
+  if (timeZoneLoading) return null;
+  timeZoneLoading = true;
+
+  try {
+    const res = await fetch(assetUrl("timezones.json"));
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+
+    // "zone:count,…" runs → [zone, endCol] pairs, so a lookup is one scan
+    const rows = data.runs.map((row) => {
+      let endCol = 0;
+      return row.split(",").map((run) => {
+        const [zone, count] = run.split(":").map(Number);
+        return [zone, (endCol += count)];
+      });
+    });
+    timeZoneGrid = { west: data.west, south: data.south, cell: data.cell, cols: data.cols, zones: data.zones, rows };
+    return timeZoneGrid;
+  } catch (err) {
+    console.warn("[timezones] fetch failed:", err);
+    return null;
+  } finally {
+    timeZoneLoading = false;
+  }
+}
+
+/** IANA time zone at [lon, lat], or null outside the grid / before it loads. */
+function timeZoneAt([lon, lat]) {
+  const grid = timeZoneGrid;
+  if (!grid) return null;
+  const row = grid.rows[Math.floor((lat - grid.south) / grid.cell)];
+  const col = Math.floor((lon - grid.west) / grid.cell);
+  if (!row || col < 0 || col >= grid.cols) return null;
+  return grid.zones[row.find(([, endCol]) => col < endCol)?.[0]] || null;
+}
+
+const zoneFormats = new Map();
+function zoneFormat(tz, timeZoneName) {
+  const key = `${tz}|${timeZoneName ?? ""}`;
+  if (!zoneFormats.has(key)) {
+    zoneFormats.set(key, new Intl.DateTimeFormat("en-US", {
+      timeZone: tz, hourCycle: "h23", timeZoneName,
+      year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric"
+    }));
+  }
+  return zoneFormats.get(key);
+}
+
+// Zone rules are read at local noon, clear of 2 a.m. DST switches
+const noonOf = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+
+/** UTC offset (minutes) of IANA zone `tz` on `date`, from the browser's tz data. */
+function zoneOffsetMins(tz, date) {
+  const noon  = noonOf(date);
+  const parts = Object.fromEntries(zoneFormat(tz).formatToParts(noon).map((p) => [p.type, p.value]));
+  const asUtc = Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute);
+  return Math.round((asUtc - noon.getTime()) / 60000);
+}
+
+/** Zone name on `date`: "MDT" (short) or "Mountain Time" (longGeneric). */
+function zoneName(tz, date, style = "short") {
+  return zoneFormat(tz, style).formatToParts(noonOf(date)).find((p) => p.type === "timeZoneName")?.value ?? tz;
+}
+
+// Rough US time-zone bands: [westernmost longitude, UTC offset in hours]
+const US_ZONE_BANDS = [[-87.5, -5], [-101.5, -6], [-114.05, -7], [-130, -8], [-180, -9]];
+
+/**
+ * UTC offset (minutes) at a point on a date, from its zone in the grid.
+ * Outside the grid (or before it loads) falls back to the US zone band its
+ * longitude is in, plus daylight saving from the second Sunday in March to
+ * the first Sunday in November (not in Hawaii or Arizona).
+ */
+function utcOffsetMins([lon, lat], date) {
+  const tz = timeZoneAt([lon, lat]);
+  if (tz) return zoneOffsetMins(tz, date);
+
+  const hawaii  = lat < 23 && lon < -154;
+  const arizona = lat > 31.3 && lat < 37 && lon > -114.8 && lon < -109.05;
+  const hours   = hawaii ? -10 : US_ZONE_BANDS.find(([west]) => lon >= west)?.[1] ?? -9;
+
+  const y = date.getFullYear();
+  const nthSunday = (month, n) => {
+    const first = new Date(y, month, 1);
+    return new Date(y, month, 1 + ((7 - first.getDay()) % 7) + (n - 1) * 7);
+  };
+  const dst = !hawaii && !arizona && date >= nthSunday(2, 2) && date < nthSunday(10, 1);
+  return hours * 60 + (dst ? 60 : 0);
+}
+
+/** Date zone offsets use for trip day `day`; today when the trip is undated. */
+function zoneDate(day) {
+  return sunDate(day) ?? new Date();
+}
+
+/**
+ * Time-zone changes driving `leg` from `fromFrac` to `toFrac` of the way:
+ * [{ zone, shiftMins, frac }] for each zone entered whose offset differs from
+ * the last, sampled about every 10 miles. Empty without zone data.
+ */
+function zoneCrossings(leg, fromFrac, toFrac, date) {
+  if (!timeZoneGrid) return [];
+  const steps = Math.max(2, Math.ceil((leg.miles || 0) * (toFrac - fromFrac) / 10));
+  const crossings = [];
+  let offset = null;
+  for (let i = 0; i <= steps; i++) {
+    const frac = fromFrac + (toFrac - fromFrac) * i / steps;
+    const at   = pointAlongLeg(leg, frac);
+    const tz   = at && timeZoneAt(at);
+    if (!tz) continue;
+    const next = zoneOffsetMins(tz, date);
+    if (offset !== null && next !== offset) crossings.push({ zone: tz, shiftMins: next - offset, frac });
+    offset = next;
+  }
+  return crossings;
+}
+
+/** "Enters Mountain Time (−1 hr)" */
+function crossingLabel(crossing, date) {
+  const hrs = crossing.shiftMins / 60;
+  return `Enters ${zoneName(crossing.zone, date, "longGeneric")} (${hrs > 0 ? "+" : "−"}${+Math.abs(hrs).toFixed(1)} hr)`;
+}
+
+/** "14:30 MDT" — a local clock time tagged with its zone when known. */
+function clockLabel(mins, tz, date) {
+  return tz ? `${minsToHHMM(mins)} ${zoneName(tz, date)}` : minsToHHMM(mins);
+}
+
+/** A plan day's start–end: "07:00–17:00 MDT", or "07:00 PDT–18:00 MDT" across zones. */
+function dayClockRange(d) {
+  const date = zoneDate(d.day);
+  const sameZone = !d.startZone || !d.endZone || zoneName(d.startZone, date) === zoneName(d.endZone, date);
+  return sameZone
+    ? `${minsToHHMM(d.startMins)}–${clockLabel(d.endMins, d.endZone ?? d.startZone, date)}`
+    : `${clockLabel(d.startMins, d.startZone, date)}–${clockLabel(d.endMins, d.endZone, date)}`;
+}
+
+/* ===============================
+   SUNRISE / SUNSET
+================================ */
+/**
+ * Local sunrise and sunset (minutes after midnight) at `coords` on `date`,
+ * from the NOAA solar position approximation. During polar night both are
+ * solar noon (no daylight); null during polar day (the sun never sets).
+ */
+function sunTimes(date, [lon, lat]) {
+  const rad = Math.PI / 180;
+  const dayOfYear = Math.round((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) -
+    Date.UTC(date.getFullYear(), 0, 1)) / 86400000) + 1;
+  const g = (2 * Math.PI / 365) * (dayOfYear - 1);
+
+  // Equation of time (minutes) and solar declination (radians)
+  const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+    - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+  const decl = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+    - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+    - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+
+  // Hour angle at the moment the sun's upper limb touches the horizon (90.833°)
+  const cosHa = Math.cos(90.833 * rad) / (Math.cos(lat * rad) * Math.cos(decl)) -
+    Math.tan(lat * rad) * Math.tan(decl);
+  if (cosHa < -1) return null;
+  const ha = cosHa > 1 ? 0 : Math.acos(cosHa) / rad;
+
+  const offset = utcOffsetMins([lon, lat], date);
+  return {
+    sunrise: 720 - 4 * (lon + ha) - eqTime + offset,
+    sunset:  720 - 4 * (lon - ha) - eqTime + offset
+  };
+}
+
 /* ===============================
    DAY PLAN
 ================================ */
+/** Date sun times use for trip day `day`: its own, or mid-month of travelMonth. */
+function sunDate(day) {
+  return tripDayDate(day) ??
+    (tripRules.travelMonth ? new Date(new Date().getFullYear(), tripRules.travelMonth - 1, 15) : null);
+}
+
+/**
+ * Window for trip day `day` when it starts at `coords`: wake→sleep, clamped
+ * to sunrise–sunset there under tripRules.daylightOnly (empty in polar night).
+ * `activeMins` is the time for driving, breaks and visits; `budgetMins` caps
+ * the driving alone by maxDriveHoursPerDay.
+ * @returns {{startMins:number, endMins:number, activeMins:number, budgetMins:number, sun:object|null}}
+ */
+function dayWindow(day, coords) {
+  let startMins = hhmmToMins(tripRules.wakeHHMM  || tripRules.startTimeHHMM || "08:00");
+  let endMins   = hhmmToMins(tripRules.sleepHHMM || "20:00");
+
+  const date = sunDate(day);
+  const sun  = date && coords ? sunTimes(date, coords) : null;
+  if (tripRules.daylightOnly && sun) {
+    startMins = Math.max(startMins, Math.ceil(sun.sunrise));
+    endMins   = Math.min(endMins, Math.floor(sun.sunset));
+  }
+  endMins = Math.max(startMins, endMins);
+
+  const activeMins = endMins - startMins;
+  return {
+    startMins,
+    endMins,
+    activeMins,
+    budgetMins: Math.min(activeMins, tripRules.maxDriveHoursPerDay * 60),
+    sun
+  };
+}
+
+// A leg too long for one day only starts on a day with at least this much
+// drive time left; otherwise it waits for the next morning
+const OVERNIGHT_MIN_SPLIT_MINS = 60;
+// Overnight stops snap to campgrounds / lodges / towns within this distance
+// of the point where the day's drive budget runs out
+const OVERNIGHT_SNAP_MILES = 30;
+// A break on the road is named after a town at most this far away
+const BREAK_TOWN_MILES = 10;
+// Reverse-geocoder requests per pass over the day plan (each one is billed)
+const TOWN_LOOKUPS_PER_PASS = 8;
+
+/**
+ * Breaks due while driving `mins` from `clockMins` (the day's clock), with
+ * `sinceRestMins` driven since the last stop and lunch already had or not:
+ * a rest stop every tripRules.restEveryHours of driving, and lunch the first
+ * time the drive is inside the lunch window. A break that would fall on
+ * arrival is left to the stop.
+ * @returns {{breaks:{type:"rest"|"lunch", atMins:number, mins:number}[],
+ *   breakMins:number, sinceRestMins:number, lunched:boolean}} `atMins` is
+ *   driving minutes into the drive
+ */
+function breaksWhileDriving(mins, clockMins, sinceRestMins, lunched) {
+  const restEvery = (tripRules.restEveryHours || 0) * 60;
+  const lunchMins = tripRules.lunchMinutes || 0;
+  const lunchFrom = hhmmToMins(tripRules.lunchFromHHMM || "11:30");
+  const lunchTo   = hhmmToMins(tripRules.lunchToHHMM   || "13:30");
+  const restMins  = tripRules.restMinutes || 0;
+
+  const breaks = [];
+  let breakMins = 0;
+  let driven = 0;
+  while (driven < mins) {
+    const toLunch = lunchMins > 0 && !lunched && clockMins <= lunchTo
+      ? Math.max(0, lunchFrom - clockMins) : Infinity;
+    let toRest = restEvery > 0 ? Math.max(0, restEvery - sinceRestMins) : Infinity;
+    // A rest stop due just before lunch waits for lunch instead
+    if (toLunch - toRest <= restMins) toRest = Infinity;
+
+    const step = Math.min(toRest, toLunch, mins - driven);
+    driven        += step;
+    clockMins     += step;
+    sinceRestMins += step;
+    if (driven >= mins) break;
+
+    const type = step === toLunch ? "lunch" : "rest";
+    const len  = type === "lunch" ? lunchMins : restMins;
+    breaks.push({ type, atMins: driven, mins: len });
+    breakMins    += len;
+    clockMins    += len;
+    sinceRestMins = 0;
+    if (type === "lunch") lunched = true;
+  }
+  return { breaks, breakMins, sinceRestMins, lunched };
+}
+
+/**
+ * Most minutes a fresh day can drive in `window` (see dayWindow()): its drive
+ * budget, cut back so the drive and the breaks it brings fit the day.
+ */
+function dayDriveMins(window) {
+  const mins = window.budgetMins;
+  const { breakMins } = breaksWhileDriving(mins, window.startMins, 0, false);
+  return Math.max(0, mins + breakMins > window.activeMins ? window.activeMins - breakMins : mins);
+}
+
+/** "Rest 15 min every 2 hr · Lunch 45 min 11:30–13:30", or "None". */
+function breakRulesLabel() {
+  const parts = [];
+  if (tripRules.restEveryHours > 0) parts.push(`Rest ${tripRules.restMinutes} min every ${tripRules.restEveryHours} hr`);
+  if (tripRules.lunchMinutes > 0)   parts.push(`Lunch ${tripRules.lunchMinutes} min ${tripRules.lunchFromHHMM}–${tripRules.lunchToHHMM}`);
+  return parts.join(" · ") || "None";
+}
+
+/** "Lunch (45 min)" / "Rest stop (15 min)" for a schedule break event */
+function breakLabel(e) {
+  return `${e.kind === "lunch" ? "Lunch" : "Rest stop"} (${Math.round(e.end - e.start)} min)`;
+}
+
+/** Whether a stop from `fromMins` to `toMins` on the day's clock covers lunch. */
+function coversLunch(fromMins, toMins) {
+  if (!(tripRules.lunchMinutes > 0)) return false;
+  const lunchFrom = hhmmToMins(tripRules.lunchFromHHMM || "11:30");
+  const lunchTo   = hhmmToMins(tripRules.lunchToHHMM   || "13:30");
+  return Math.min(toMins, lunchTo) - Math.max(fromMins, lunchFrom) >= tripRules.lunchMinutes;
+}
+
+/**
+ * How long a stop is visited: `mins` on the day it's reached, or a stay of
+ * `days` days and nights (the arrival day counts as the first). Stops without
+ * their own `visit` get tripRules.visitHoursPerPark; the origin and
+ * destination aren't visited.
+ */
+function stopVisit(stop) {
+  if (!stop || stop.source === "origin" || stop.source === "destination") return { mins: 0, days: 0 };
+  const days = Math.floor(stop.visit?.days ?? 0);
+  if (days > 0) return { mins: 0, days };
+  const hours = stop.visit?.hours ?? tripRules.visitHoursPerPark ?? 0;
+  return { mins: Math.round(hours * 60), days: 0 };
+}
+
+/** Label for a stop's `visit` setting, e.g. "Half day" or "2 days · 2 nights". */
+function visitLabel(visit) {
+  const preset = VISIT_PRESETS.find((p) => p.key === visitPresetKey(visit));
+  if (preset) return preset.label;
+  return visit.days > 0
+    ? `${visit.days} days · ${visit.days} nights`
+    : `${hoursToLabel(visit.hours)} visit`;
+}
+
+/** VISIT_PRESETS key matching a stop's `visit`, or null for a custom value. */
+function visitPresetKey(visit) {
+  if (!visit) return "";
+  const preset = VISIT_PRESETS.find((p) =>
+    p.visit && (visit.days > 0 ? p.visit.days === visit.days : p.visit.hours === visit.hours));
+  return preset ? preset.key : null;
+}
+
+/**
+ * Route stops for built legs (currentLegs shape), as packInput() expects:
+ * [{hours, fromStop, toStop, route}], `route` being the built leg.
+ */
+function withLegStops(legs) {
+  const stopsById = new Map(routeStops(selectedParks).map((s) => [s.id, s]));
+  return legs.map((l) => ({ hours: l.hours, fromStop: stopsById.get(l.fromId), toStop: stopsById.get(l.toId), route: l }));
+}
+
+/**
+ * packDriveDays() input for a leg chain [{hours, fromStop, toStop, route?}],
+ * `route` being the built leg when there is one. Each stop is visited the
+ * first time it's reached, so a round trip doesn't revisit its start.
+ * @param {(stop:object) => boolean} mustSeeFor  whether a destination is kept
+ *   when it doesn't fit the day
+ */
+function packInput(legs, mustSeeFor) {
+  const seen = new Set();
+  const visitOnce = (stop) => {
+    if (!stop || seen.has(stop.id)) return { mins: 0, days: 0 };
+    seen.add(stop.id);
+    return stopVisit(stop);
+  };
+  const start = visitOnce(legs[0]?.fromStop);
+  return {
+    start: { visitMins: start.mins, stayDays: start.days, coords: legs[0]?.fromStop?.coords ?? null },
+    legs: legs.map((l) => {
+      const visit = visitOnce(l.toStop);
+      return {
+        hours:      l.hours,
+        dayBreak:   l.fromStop?.dayBreak ?? null,
+        mustSee:    mustSeeFor(l.toStop),
+        visitMins:  visit.mins,
+        stayDays:   visit.days,
+        fromCoords: l.fromStop?.coords ?? null,
+        toCoords:   l.toStop?.coords ?? null,
+        route:      l.route ?? null
+      };
+    })
+  };
+}
+
+/**
+ * Day-by-day packing behind generateDayPlan() and every day count:
+ *  - a day drives at most the drive budget, and its driving, breaks and
+ *    visits fit in its dayWindow() (wake→sleep, or daylight where it starts)
+ *  - rest and lunch breaks fall where breaksWhileDriving() puts them; a
+ *    visit counts as a rest, and as lunch when it spans the lunch window
+ *  - optional destinations that overflow a day are skipped
+ *  - legs longer than a day are split at overnight stops
+ *  - a visit that doesn't fit after arrival moves to the next morning
+ *  - a multi-day stay ends the arrival day and adds zero-drive days
+ *  - a leg whose start has a manual `dayBreak` starts a new day ("end"), or
+ *    stays on the current day whole ("continue") even past its limits
+ *
+ * @param {{hours:number, dayBreak:("end"|"continue"|null), mustSee:boolean,
+ *   visitMins:number, stayDays:number, fromCoords:number[],
+ *   toCoords:number[], route:(object|null)}[]} legs
+ * @param {{visitMins:number, stayDays:number, coords:number[]}} start  visit at
+ *   the trip's first stop
+ * @returns {{days:number, arriveDays:(number|null)[], schedule:object[]}}
+ *   `arriveDays` is the 1-based day each leg arrives on (null for skipped
+ *   legs). Each `schedule` day is {window, coords, segments:[{leg, mins,
+ *   endFrac, overnight, breaks, breakMins, visitMins, stayDays}], stayAt,
+ *   morningVisit, driveMins, activeMins}, where `stayAt` / `morningVisit.at` is the leg whose
+ *   destination it happens at (-1 for the trip's first stop).
+ */
+function packDriveDays(legs, start = { visitMins: 0, stayDays: 0, coords: null }) {
+  const schedule   = [];
+  const arriveDays = [];
+  let day = null;          // the day being filled; null once it has ended
+  let morningVisit = null; // visit carried over to the next morning
+
+  const addStayDays = (at, coords, n) => {
+    for (let k = 0; k < n; k++) {
+      const window = dayWindow(schedule.length + 1, coords);
+      schedule.push({ window, coords, segments: [], stayAt: at, morningVisit: null, driveMins: 0, activeMins: window.activeMins });
+    }
+  };
+  const startDay = (coords) => {
+    if (day) return;
+    const window = dayWindow(schedule.length + 1, coords);
+    day = {
+      window, coords, segments: [], stayAt: null, morningVisit, driveMins: 0,
+      activeMins: morningVisit?.mins ?? 0,
+      sinceRestMins: 0,
+      lunched: !!morningVisit && coversLunch(window.startMins, window.startMins + morningVisit.mins)
+    };
+    schedule.push(day);
+    morningVisit = null;
+  };
+  const clock = () => day.window.startMins + day.activeMins;
+  const breaksFor = (mins) => breaksWhileDriving(mins, clock(), day.sinceRestMins, day.lunched);
+  // Drive minutes still free today, leaving room for the breaks they bring
+  const room = () => {
+    const activeLeft = day.window.activeMins - day.activeMins;
+    let mins = Math.min(day.window.budgetMins - day.driveMins, activeLeft);
+    const { breakMins } = breaksFor(mins);
+    if (mins + breakMins > activeLeft) mins = activeLeft - breakMins;
+    return Math.max(0, mins);
+  };
+  // Where a split leg stops for the night: along the built leg's path, as
+  // overnightStop() places it, or the straight line for an estimate
+  const alongLeg = (leg, frac) =>
+    (leg.route && pointAlongLeg(leg.route, frac)) ?? lerpCoords(leg.fromCoords, leg.toCoords, frac);
+  const drive = (leg, mins, endFrac, overnight) => {
+    const { breaks, breakMins, sinceRestMins, lunched } = breaksFor(mins);
+    const seg = { leg, mins, endFrac, overnight, breaks, breakMins, visitMins: 0, stayDays: 0 };
+    day.segments.push(seg);
+    day.driveMins  += mins;
+    day.activeMins += mins + breakMins;
+    day.sinceRestMins = sinceRestMins;
+    day.lunched       = lunched;
+    return seg;
+  };
+
+  // A trip that starts at a stop (no origin) spends its stay there first
+  addStayDays(-1, start.coords, start.stayDays);
+  if (start.visitMins > 0) morningVisit = { mins: start.visitMins, at: -1, coords: start.coords };
+
+  legs.forEach((leg, i) => {
+    const legMins   = (leg.hours || 0) * 60;
+    const keepGoing = leg.dayBreak === "continue";
+    if (leg.dayBreak === "end" && day?.segments.length) day = null;
+    startDay(morningVisit?.coords ?? leg.fromCoords);
+
+    if (day.segments.length && legMins > room() && !keepGoing) {
+      if (!leg.mustSee) { arriveDays.push(null); return; }
+      // A leg that fits in a day waits for tomorrow; a longer one starts
+      // today if there is a useful amount of drive time left
+      if (legMins <= day.window.budgetMins || room() < OVERNIGHT_MIN_SPLIT_MINS) {
+        day = null;
+        startDay(leg.fromCoords);
+      }
+    }
+
+    // Split the leg wherever the day's drive time runs out
+    let left = legMins;
+    while (!keepGoing && room() > 0 && left > room()) {
+      const part = room();
+      left -= part;
+      drive(i, part, 1 - left / legMins, true);
+      day = null;
+      startDay(alongLeg(leg, 1 - left / legMins));
+    }
+    const seg = drive(i, left, 1, false);
+    arriveDays.push(schedule.length);
+
+    if (leg.stayDays > 0) {
+      // The arrival day is the first day of the stay
+      seg.stayDays = leg.stayDays;
+      day = null;
+      addStayDays(i, leg.toCoords, leg.stayDays - 1);
+    } else if (leg.visitMins > 0) {
+      // Visit today if it fits, or if the next leg is kept on today
+      if (legs[i + 1]?.dayBreak === "continue" || day.activeMins + leg.visitMins <= day.window.activeMins) {
+        seg.visitMins = leg.visitMins;
+        day.lunched ||= coversLunch(clock(), clock() + leg.visitMins);
+        day.sinceRestMins = 0;
+        day.activeMins += leg.visitMins;
+      } else {
+        // Too late to visit today; explore first thing tomorrow
+        day = null;
+        morningVisit = { mins: leg.visitMins, at: i, coords: leg.toCoords };
+      }
+    }
+  });
+
+  // A visit pushed past the last drive still gets its morning
+  if (morningVisit) startDay(morningVisit.coords);
+
+  return { days: schedule.length, arriveDays, schedule };
+}
+
+/** Point `frac` of the straight line a→b, or null if either end is unknown. */
+function lerpCoords(a, b, frac) {
+  return a && b ? a.map((c, k) => c + (b[k] - c) * frac) : null;
+}
+
+/**
+ * Arrivals the day plan for `legs` makes after sunset where it arrives, as
+ * [{name, day, arriveMins, sunsetMins, zone}] in local time there.
+ * Needs a start date or travel month.
+ */
+function arrivalsAfterDark(legs = currentLegs) {
+  if (!legs.length || !sunDate(1)) return [];
+
+  const late = [];
+  for (const d of planDays(legs).plan) {
+    for (const e of d.events) {
+      if ((e.type !== "arrive" && e.type !== "overnight") || !e.location.coords) continue;
+      const sun = sunTimes(sunDate(d.day), e.location.coords);
+      if (!sun || e.start <= sun.sunset) continue;
+      late.push({
+        name:       e.type === "overnight" ? `an overnight stop toward ${legs[e.leg].toName}` : e.location.name,
+        day:        d.day,
+        arriveMins: e.start,
+        sunsetMins: sun.sunset,
+        zone:       e.zone
+      });
+    }
+  }
+  return late;
+}
+
+/**
+ * Number of days the day plan needs for a leg chain [{hours, fromStop, toStop}].
+ * Destinations are kept by their must-see flag unless `mustSeeFor` says otherwise.
+ */
+function countDriveDays(legs, mustSeeFor = (stop) => stop?.mustSee !== false) {
+  const { start, legs: input } = packInput(legs, mustSeeFor);
+  return packDriveDays(input, start).days;
+}
+
+/** countDriveDays() for built legs (currentLegs shape). */
+function countLegDays(legs) {
+  return countDriveDays(withLegStops(legs));
+}
+
+/**
+ * Calendar date each routed stop is first reached, keyed by stop id, packed
+ * the same way as the day plan. Empty when the trip has no start date.
+ */
+function stopVisitDates(legs = currentLegs) {
+  const dates = new Map();
+  if (!tripDayDate(1) || !legs.length) return dates;
+
+  // In day-budget mode generateDayPlan() keeps every routed stop
+  const { start, legs: input } = packInput(withLegStops(legs), (s) => tripRules.tripDays > 0 || s?.mustSee !== false);
+  const { arriveDays } = packDriveDays(input, start);
+
+  dates.set(legs[0].fromId, tripDayDate(1));
+  legs.forEach((l, i) => {
+    if (arriveDays[i] && !dates.has(l.toId)) dates.set(l.toId, tripDayDate(arriveDays[i]));
+  });
+  return dates;
+}
+
+/**
+ * Month (1–12, 0 = any) a stop is visited in: from its date in the day plan,
+ * else the start date's month, else tripRules.travelMonth.
+ */
+function stopVisitMonth(stopId, visitDates = stopVisitDates()) {
+  const date = visitDates.get(stopId) ?? tripDayDate(1);
+  return date ? date.getMonth() + 1 : tripRules.travelMonth;
+}
+
+/**
+ * Point `fraction` (0–1) of the way along a leg, following its Directions
+ * geometry, or the straight line between its stops when it has none.
+ */
+function pointAlongLeg(leg, fraction) {
+  const coords = legCoords(leg);
+  if (!coords) return null;
+  const line = turf.lineString(coords);
+  const km   = turf.length(line, { units: "kilometers" }) * fraction;
+  return turf.along(line, km, { units: "kilometers" }).geometry.coordinates;
+}
+
+/**
+ * A leg's path: its Directions geometry, or the straight line between its
+ * stops when it has none. Null if a stop is unknown.
+ */
+function legCoords(leg) {
+  const coords = leg.geometry?.coordinates;
+  if (Array.isArray(coords) && coords.length >= 2) return coords;
+  const coordsById = new Map(routeStops(selectedParks).map((p) => [p.id, p.coords]));
+  const from = coordsById.get(leg.fromId);
+  const to   = coordsById.get(leg.toId);
+  return from && to ? [from, to] : null;
+}
+
+/** The stretch of a leg's path from `fromFrac` to `toFrac` (0–1) of the way. */
+function legPartCoords(leg, fromFrac = 0, toFrac = 1) {
+  const coords = legCoords(leg);
+  if (!coords || (fromFrac <= 0 && toFrac >= 1)) return coords;
+  const line = turf.lineString(coords);
+  const km   = turf.length(line, { units: "kilometers" });
+  return turf.lineSliceAlong(line, km * fromFrac, km * toFrac, { units: "kilometers" }).geometry.coordinates;
+}
+
+// ── Town names ───────────────────────────────────────────────────────────────
+// Towns nearest points on the open road (overnight stops, breaks), from the
+// routing provider's reverse geocoder, keyed by townKey(). A point with no
+// town is stored as null so it isn't looked up again.
+const townNames = new Map();
+// A lookup pass is in flight; the redraw it ends with doesn't start another
+let townLookupsBusy = false;
+
+/** townNames key: the point on a ~0.05° grid, so nearby points share a lookup. */
+function townKey([lon, lat]) {
+  return `${(Math.round(lon * 20) / 20).toFixed(2)},${(Math.round(lat * 20) / 20).toFixed(2)}`;
+}
+
+/** Town {name, lngLat} looked up near `coords`, or null (none, or not looked up yet). */
+function townNear(coords) {
+  return coords ? townNames.get(townKey(coords)) ?? null : null;
+}
+
 /**
- * Build a day-by-day schedule from currentLegs, honouring:
- *  - Wake/sleep window  (available driving minutes per day)
+ * Look up the towns near the first `limit` of `points` that townNames doesn't
+ * have yet, one request at a time. Resolves true if any town was found.
+ */
+async function loadTownNames(points, limit = Infinity) {
+  const todo = new Map();
+  points.forEach((p) => {
+    const key = p && townKey(p);
+    if (key && !townNames.has(key)) todo.set(key, p);
+  });
+  let found = false;
+  for (const [key, point] of [...todo].slice(0, limit)) {
+    townNames.set(key, null);
+    try {
+      const town = await ROUTING.town?.(point);
+      if (town) {
+        townNames.set(key, town);
+        found = true;
+      }
+    } catch (err) {
+      console.warn("[towns] lookup failed:", err);
+    }
+  }
+  return found;
+}
+
+/**
+ * Name the overnight stops and breaks on the open road in `plan` after nearby
+ * towns, then redraw the day plan. Overnights go first, at most
+ * TOWN_LOOKUPS_PER_PASS points are looked up, and the redraw doesn't start a
+ * pass of its own, so each plan change costs a bounded number of requests.
+ */
+function lookUpRoadTowns(plan) {
+  if (townLookupsBusy) return;
+  const events = plan.flatMap((d) => d.events);
+  const points = [
+    ...events.filter((e) => e.type === "overnight" && e.node.kind === "route").map((e) => e.node.routePoint),
+    ...events.filter((e) => e.type === "break" && e.location.onRoad).map((e) => e.location.coords),
+  ];
+  townLookupsBusy = true;
+  loadTownNames(points, TOWN_LOOKUPS_PER_PASS).then((found) => {
+    if (found && dayPlan.length) {
+      const { plan: next, droppedOptional: nextDropped } = generateDayPlan();
+      renderDayPlan(next, nextDropped);
+    }
+    townLookupsBusy = false;
+  });
+}
+
+/**
+ * Overnight stop `fraction` of the way along a leg: the nearest campground,
+ * lodge or town within OVERNIGHT_SNAP_MILES, or the point on the route
+ * itself. Campgrounds are only considered once loadCampgroundData() has run,
+ * and towns once loadTownNames() has looked the point up.
+ */
+function overnightStop(leg, fraction) {
+  const point = pointAlongLeg(leg, fraction);
+  const node = {
+    name: `Overnight ${Math.round((leg.miles || 0) * fraction)} mi past ${leg.fromName}`,
+    coords: point,
+    routePoint: point,
+    kind: "route",
+    offRouteMiles: 0,
+    reserveUrl: null,
+    fee: null
+  };
+  if (!point) return node;
+
+  let best = null;
+  for (const f of campgroundCache?.features ?? []) {
+    const c = f.geometry?.coordinates;
+    if (!Array.isArray(c)) continue;
+    const miles = haversineMiles(point, c);
+    if (miles <= OVERNIGHT_SNAP_MILES && (!best || miles < best.miles)) best = { f, miles };
+  }
+
+  const town      = townNear(point);
+  const townMiles = town ? haversineMiles(point, town.lngLat) : Infinity;
+  if (townMiles <= OVERNIGHT_SNAP_MILES && (!best || townMiles < best.miles)) {
+    return { ...node, name: town.name, coords: town.lngLat, kind: "town", offRouteMiles: townMiles };
+  }
+  if (!best) return node;
+
+  return {
+    ...node,
+    name: best.f.properties?.name ?? node.name,
+    coords: best.f.geometry.coordinates,
+    kind: best.f.properties?.type === "Lodge" ? "lodge" : "campground",
+    offRouteMiles: best.miles,
+    reserveUrl: best.f.properties?.reserveUrl ?? null,
+    fee: campgroundNightlyFee(best.f.properties?.fee)
+  };
+}
+
+/** Short description of an overnight stop, e.g. "Campground · 4 mi off route". */
+function overnightLabel(node) {
+  if (node.kind === "route") return "Overnight on route (no town or campground nearby)";
+  const kind = { lodge: "Lodge", town: "Town" }[node.kind] ?? "Campground";
+  return node.offRouteMiles >= 1 ? `${kind} · ${fmt(node.offRouteMiles)} mi off route` : kind;
+}
+
+/**
+ * Build a day-by-day schedule for a leg chain, honouring:
+ *  - Leg drive times from the drive matrix / Directions where available
+ *    (straight-line estimates only as a fallback; such days are flagged `approx`)
+ *  - Wake/sleep window  (available driving + visiting minutes per day),
+ *    clamped to daylight where the day starts under tripRules.daylightOnly
  *  - Max driving hours/day cap
- *  - Break minutes/day
+ *  - Rest and lunch breaks, placed along the leg where they fall
+ *  - Each stop's visit: hours on the arrival day, or a multi-night stay that
+ *    adds zero-drive days (`stay`)
  *  - Must-see vs optional stops: if a leg's destination is optional and
- *    adding it would bust the day budget, it is skipped (noted in droppedOptional)
+ *    adding it would bust the day budget, it is skipped (arriveDays null)
+ *  - Legs longer than a whole day's budget are split where the budget runs
+ *    out, with an overnight stop snapped to the nearest campground / lodge
+ *
+ * Each day is one timeline of `events` — the schedule every view, export
+ * and check reads its times from:
+ *   { type: "start" | "visit" | "drive" | "break" | "arrive" | "overnight",
+ *     start, end,   local clock minutes (equal for start / arrive / overnight)
+ *     zone,         IANA zone `start` is in (null without zone data)
+ *     location,     { name, coords } where it happens; drives have from / to
+ *     leg }         index of the leg it belongs to (visits: the leg arriving
+ *                   there, -1 for the trip's first stop; none on "start")
+ * plus, by type: start {overnight}, visit {allDay}, drive {from, to, miles,
+ * driveMins, endZone, crossings, toward}, break {kind: "rest" | "lunch"},
+ * arrive {stayDays}, overnight {node}.
  *
+ * Beside the timeline each day carries its totals (miles, driveHours,
+ * breakMins, visitMins, startMins / endMins with startZone / endZone, and
+ * overMins, how far a manually packed day runs past its window), `segments`
+ * — one summary per leg or piece of a split leg ({leg, fromFrac, toFrac,
+ * miles, hours, overnightFrom, overnightTo, visitMins, stayDays}) — and
+ * `legs`, the leg indices it touches.
+ *
+ * @returns {{plan:object[], arriveDays:(number|null)[]}}
+ */
+function planDays(legsIn) {
+  // In day-budget mode the optional stops were already chosen to fit, so
+  // nothing is dropped here.
+  const { start, legs } = packInput(withLegStops(legsIn), (s) => tripRules.tripDays > 0 || s?.mustSee !== false);
+  const { schedule, arriveDays } = packDriveDays(legs, start);
+
+  const fromOf  = (i)  => ({ name: legsIn[i].fromName, coords: legs[i].fromCoords });
+  const toOf    = (i)  => ({ name: legsIn[i].toName,   coords: legs[i].toCoords });
+  const placeAt = (at) => (at === -1 ? fromOf(0) : toOf(at));
+  let overnight = null; // where the previous day's split leg stopped
+
+  const plan = schedule.map((d, k) => {
+    // Clock times are local: the day starts in its start point's zone and
+    // shifts at each time-zone line the drive crosses
+    const date = zoneDate(k + 1);
+    const startZone = d.coords ? timeZoneAt(d.coords) : null;
+    const isStay  = d.stayAt !== null;
+    const carried = overnight && overnight.leg === d.segments[0]?.leg ? overnight.node : null;
+    const startPlace = isStay ? placeAt(d.stayAt)
+      : d.morningVisit ? placeAt(d.morningVisit.at)
+      : carried ? { name: carried.name, coords: carried.coords }
+      : fromOf(d.segments[0].leg);
+
+    let zone  = startZone;
+    let clock = d.window.startMins;
+    const events = [{ type: "start", start: clock, end: clock, zone, location: startPlace, overnight: !!carried }];
+
+    if (isStay) {
+      events.push({ type: "visit", start: clock, end: d.window.endMins, zone, location: startPlace, leg: d.stayAt, allDay: true });
+    } else if (d.morningVisit) {
+      events.push({ type: "visit", start: clock, end: clock + d.morningVisit.mins, zone, location: startPlace, leg: d.morningVisit.at });
+      clock += d.morningVisit.mins;
+    }
+
+    const segments = d.segments.map((s) => {
+      const leg     = legsIn[s.leg];
+      const legMins = (leg.hours || 0) * 60;
+      const overnightFrom = overnight?.leg === s.leg ? overnight.node : null;
+      const fromFrac      = overnightFrom ? overnight.frac : 0;
+      const overnightTo   = s.overnight ? overnightStop(leg, s.endFrac) : null;
+      overnight = overnightTo ? { leg: s.leg, node: overnightTo, frac: s.endFrac } : null;
+
+      const crossings = zoneCrossings(leg, fromFrac, s.endFrac, date);
+
+      // Walk the leg: drive to each break, then on to the arrival
+      let at = { frac: fromFrac, mins: 0, place: overnightFrom ? { name: overnightFrom.name, coords: overnightFrom.coords } : fromOf(s.leg) };
+      const driveTo = (frac, mins, place, last) => {
+        const passed = crossings.filter((c) => c.frac > at.frac && c.frac <= frac);
+        const event = {
+          type: "drive", start: clock, zone, leg: s.leg,
+          from: at.place, to: place,
+          miles: (leg.miles || 0) * (frac - at.frac),
+          driveMins: mins - at.mins,
+          crossings: passed,
+          toward: last && overnightTo ? leg.toName : null
+        };
+        clock += event.driveMins + passed.reduce((sum, c) => sum + c.shiftMins, 0);
+        if (passed.length) zone = passed.at(-1).zone;
+        events.push({ ...event, end: clock, endZone: zone });
+        at = { frac, mins, place };
+      };
+
+      s.breaks.forEach((b) => {
+        const frac = legMins > 0 ? fromFrac + b.atMins / legMins : fromFrac;
+        if (b.atMins > 0) {
+          const coords = pointAlongLeg(leg, frac);
+          const town   = townNear(coords);
+          driveTo(frac, b.atMins, {
+            name: town && haversineMiles(coords, town.lngLat) <= BREAK_TOWN_MILES
+              ? `near ${town.name}`
+              : `${Math.round((leg.miles || 0) * frac)} mi past ${leg.fromName}`,
+            coords,
+            onRoad: true
+          }, false);
+        }
+        events.push({ type: "break", kind: b.type, start: clock, end: clock + b.mins, zone, location: at.place, leg: s.leg });
+        clock += b.mins;
+      });
+
+      const arrival = overnightTo ? { name: overnightTo.name, coords: overnightTo.coords } : toOf(s.leg);
+      driveTo(s.endFrac, s.mins, arrival, true);
+      events.push(overnightTo
+        ? { type: "overnight", start: clock, end: clock, zone, location: arrival, leg: s.leg, node: overnightTo }
+        : { type: "arrive",    start: clock, end: clock, zone, location: arrival, leg: s.leg, stayDays: s.stayDays });
+
+      if (s.visitMins > 0) {
+        events.push({ type: "visit", start: clock, end: clock + s.visitMins, zone, location: arrival, leg: s.leg });
+        clock += s.visitMins;
+      }
+
+      return {
+        leg:       s.leg,
+        fromFrac,
+        toFrac:    s.endFrac,
+        miles:     (leg.miles || 0) * (s.endFrac - fromFrac),
+        hours:     s.mins / 60,
+        overnightFrom,
+        overnightTo,
+        visitMins: s.visitMins,
+        stayDays:  s.stayDays
+      };
+    });
+
+    const breakMins = d.segments.reduce((sum, s) => sum + s.breakMins, 0);
+    return {
+      day:        k + 1,
+      date:       tripDayDate(k + 1),
+      legs:       [...new Set(segments.map((s) => s.leg))],
+      events,
+      segments,
+      startName:  startPlace.name,
+      stay:       isStay,   // zero-drive day spent at startName
+      miles:      segments.reduce((sum, s) => sum + s.miles, 0),
+      driveHours: d.driveMins / 60,
+      breakMins,
+      visitMins:  d.activeMins - d.driveMins - breakMins,
+      overMins:   Math.max(0, d.activeMins - d.window.activeMins), // past the day's window
+      startMins:  d.window.startMins,
+      endMins:    isStay ? d.window.endMins : clock,
+      startZone,
+      endZone:    zone,
+      sun:        d.window.sun,
+      overnight:  segments.at(-1)?.overnightTo ?? null,
+      approx:     segments.some((s) => legsIn[s.leg].source === "estimate")
+    };
+  });
+
+  return { plan, arriveDays };
+}
+
+/**
+ * Day plan for currentLegs (see planDays()). Overnight stops and local times
+ * sharpen once campgrounds and the zone grid load, re-rendering the plan.
  * Returns {plan, droppedOptional[]} and writes dayPlan.
  */
 function generateDayPlan() {
@@ -846,70 +2695,30 @@ function generateDayPlan() {
     return { plan: [], droppedOptional: [] };
   }
 
-  const wakeMins    = hhmmToMins(tripRules.wakeHHMM  || tripRules.startTimeHHMM || "08:00");
-  const sleepMins   = hhmmToMins(tripRules.sleepHHMM || "20:00");
-  const breakMins   = tripRules.breakMinutesPerDay || 0;
-  const visitMins   = Math.round((tripRules.visitHoursPerPark || 0) * 60);
-
-  // Total available time per day (capped by maxDriveHoursPerDay drive budget)
-  // Drive budget does NOT include visit time — those are additive to the day.
-  const driveBudgetMins = Math.min(
-    Math.max(0, sleepMins - wakeMins - breakMins),
-    tripRules.maxDriveHoursPerDay * 60
-  );
-
-  // Build a lookup: toId → mustSee flag (default true if not set)
-  const mustSeeById = new Map(
-    selectedParks.map((p) => [p.id, p.mustSee !== false])
-  );
+  const { plan, arriveDays } = planDays(currentLegs);
+  const droppedOptional = currentLegs.filter((_, i) => arriveDays[i] === null).map((l) => l.toName);
 
-  let day = 1;
-  let dayLegs = [];
-  let dayDriveMins = 0;
-  let dayMiles = 0;
-  const plan = [];
-  const droppedOptional = [];
-
-  function pushDay() {
-    if (!dayLegs.length) return;
-    // endMins includes drive time, visit time at each intermediate park, and breaks
-    const visitsInDay  = Math.max(0, dayLegs.length - 1); // visits at intermediate stops
-    const totalEndMins = wakeMins + dayDriveMins + visitsInDay * visitMins + breakMins;
-    plan.push({
-      day,
-      legs:       [...dayLegs],
-      miles:      dayMiles,
-      driveHours: dayDriveMins / 60,
-      visitMins,          // store so renderDayPlan can show explore nodes
-      startMins:  wakeMins,
-      endMins:    totalEndMins
+  // Clock times switch to local zones once the zone grid is loaded
+  if (!timeZoneGrid) {
+    loadTimeZoneData().then((data) => {
+      if (!data || !dayPlan.length) return;
+      const { plan: next, droppedOptional: nextDropped } = generateDayPlan();
+      renderDayPlan(next, nextDropped);
     });
-    day++;
-    dayLegs      = [];
-    dayDriveMins = 0;
-    dayMiles     = 0;
   }
 
-  for (let i = 0; i < currentLegs.length; i++) {
-    const leg     = currentLegs[i];
-    const legMins = (leg.hours || 0) * 60;
-
-    // Would adding this leg (+ a visit at the destination) exceed drive budget?
-    if (dayLegs.length && dayDriveMins + legMins > driveBudgetMins) {
-      const destIsMustSee = mustSeeById.get(leg.toId) !== false;
-      if (!destIsMustSee) {
-        droppedOptional.push(leg.toName);
-        continue;
-      }
-      pushDay();
-    }
+  // Overnight stops snap to campgrounds once they're loaded, and stops on the
+  // open road take the nearest town's name, both only while the day plan is
+  // on screen (the campground file is over 1 MB; town lookups are billed)
+  if (!dayByDayViewEl?.classList.contains("is-hidden")) {
+    if (!campgroundCache && plan.some((d) => d.overnight)) loadCampgroundData();
+    lookUpRoadTowns(plan);
+  }
 
-    dayLegs.push(i);
-    dayDriveMins += legMins;
-    dayMiles     += leg.miles || 0;
+  if (tripRules.tripDays > 0) {
+    selectedParks.forEach((p) => { if (budgetSkippedIds.has(p.id)) droppedOptional.push(p.name); });
   }
 
-  pushDay();
   dayPlan = plan;
   return { plan, droppedOptional };
 }
@@ -929,92 +2738,438 @@ function renderDayPlan(plan, droppedOptional = []) {
   if (droppedOptional.length) {
     const banner = document.createElement("div");
     banner.className = "dayplan-notice";
-    banner.innerHTML = `<span class="dayplan-notice__icon">ℹ</span> Optional stop${droppedOptional.length > 1 ? "s" : ""} skipped to fit your driving window: <strong>${droppedOptional.join(", ")}</strong>.`;
+    const reason = tripRules.tripDays > 0 ? `your ${tripRules.tripDays}-day trip` : "your driving window";
+    banner.innerHTML = `<span class="dayplan-notice__icon">ℹ</span> Optional stop${droppedOptional.length > 1 ? "s" : ""} skipped to fit ${reason}: <strong>${droppedOptional.map(escapeHtml).join(", ")}</strong>.`;
     container.appendChild(banner);
   }
 
+  // Manual day breaks live on the stops, so they survive re-routing
+  const stopsById = new Map(selectedParks.map((p) => [p.id, p]));
+  const manualStops = selectedParks.filter((p) => p.dayBreak);
+  if (manualStops.length) {
+    const notice = document.createElement("div");
+    notice.className = "dayplan-notice";
+    notice.innerHTML =
+      `<span class="dayplan-notice__icon">✎</span> ${manualStops.length} manual day break${manualStops.length > 1 ? "s" : ""}. ` +
+      `<button type="button" class="btn btn--ghost dayplan-notice__action">Reset to automatic</button>`;
+    notice.querySelector("button").addEventListener("click", () => {
+      selectedParks.forEach((p) => { delete p.dayBreak; });
+      applyDayBreaks();
+    });
+    container.appendChild(notice);
+  }
+
+  const visitRow = (label) =>
+    `<div class="dayleg-visit">` +
+    `<span class="dayleg-visit__bar"></span>` +
+    `<span class="dayleg-visit__label">${label}</span>` +
+    `</div>`;
+
   plan.forEach((d) => {
     const card = document.createElement("div");
     card.className = "daycard";
 
-    // Build timed leg entries — walk a running clock through the day
-    let clockMins = d.startMins;
-    const timedRows = [];
+    // One timeline row per schedule event, in each place's local time
+    const date = zoneDate(d.day);
+    const node = (mods, e, tag = "", attrs = "") =>
+      `<div class="dayleg-node ${mods}"${attrs}>` +
+      `<span class="dayleg-node__time">${clockLabel(e.start, e.zone, date)}</span>` +
+      `<span class="dayleg-node__name">${e.type === "break" ? breakLabel(e) : escapeHtml(e.location.name)}</span>` +
+      (tag ? `<span class="dayleg-node__tag">${tag}</span>` : "") +
+      `</div>`;
+
+    const timedRows = d.events.map((e) => {
+      const leg = currentLegs[e.leg];
+      switch (e.type) {
+        case "start":
+          return node(`dayleg-node--start${e.overnight ? " dayleg-node--overnight" : ""}`, e);
+        case "visit":
+          return visitRow(e.allDay ? "Explore all day — no driving" : `Explore park (${hoursToLabel((e.end - e.start) / 60)})`);
+        case "drive":
+          return `<div class="dayleg-drive">` +
+            `<span class="dayleg-drive__bar"></span>` +
+            `<span class="dayleg-drive__label" title="${legSourceLabel(leg.source)}">${leg.source === "estimate" ? "≈" : ""}${fmt(e.miles)} mi · ${fmt(e.driveMins / 60)} hr drive${e.toward ? ` toward ${escapeHtml(e.toward)}` : ""}</span>` +
+            e.crossings.map((c) => `<span class="dayleg-drive__tz">🕒 ${crossingLabel(c, date)}</span>`).join("") +
+            `</div>`;
+        case "break":
+          return node("dayleg-node--break", e, escapeHtml(e.location.name));
+        case "overnight":
+          return node("dayleg-node--arrive dayleg-node--overnight", e, overnightLabel(e.node));
+        default: {
+          const moves = dayMoves(plan, d, e.leg);
+          if (!moves.earlier && !moves.later) {
+            return node("dayleg-node--arrive", e, e.stayDays > 0 ? `${e.stayDays}-night stay` : "");
+          }
+          const target = moves.earlier ? d.day - 1 : d.day + 1;
+          const keys   = [moves.earlier && "↑", moves.later && "↓"].filter(Boolean).join(" / ");
+          const attrs  =
+            ` draggable="true" tabindex="0" data-leg="${e.leg}"` +
+            (moves.earlier ? ` data-earlier` : "") + (moves.later ? ` data-later` : "") +
+            ` title="Move to Day ${target}: ${target <= plan.length ? `drag onto it or ` : ""}press ${keys}"` +
+            ` aria-keyshortcuts="${[moves.earlier && "ArrowUp", moves.later && "ArrowDown"].filter(Boolean).join(" ")}"`;
+          return node("dayleg-node--arrive dayleg-node--movable", e, e.stayDays > 0 ? `${e.stayDays}-night stay` : "", attrs);
+        }
+      }
+    });
+    const edited = d.segments.some((s) => !s.overnightFrom && stopsById.get(currentLegs[s.leg].fromId)?.dayBreak);
 
-    const visitMinutes = d.visitMins ?? 0;  // per-park visit budget from generateDayPlan
-    const totalLegs = d.legs.length;
+    card.innerHTML = `
+      <div class="daycard__top">
+        <div class="daycard__title">Day ${d.day}${d.date ? ` <span class="daycard__date">${formatTripDate(d.date)}</span>` : ""}</div>
+        <div class="daycard__meta">
+          ${edited ? `<span class="chip chip--manual" title="Day boundary moved by hand">Edited</span>` : ""}
+          ${d.stay ? `<span class="chip">No driving</span>` : `
+          <span class="chip"${d.approx ? ` title="${legSourceLabel("estimate")}"` : ""}>${d.approx ? "≈" : ""}${fmt(d.miles)} mi</span>
+          <span class="chip">${fmt(d.driveHours)} hr drive</span>`}
+          <span class="chip">${dayClockRange(d)}</span>
+          ${d.sun ? `<span class="chip" title="Sunrise – sunset at the day's start">☀ ${d.sun.sunset > d.sun.sunrise ? `${minsToHHMM(d.sun.sunrise)}–${minsToHHMM(d.sun.sunset)}` : "no daylight"}</span>` : ""}
+        </div>
+      </div>
+      <div class="daycard__body daycard__timeline">${timedRows.join("")}</div>
+    `;
+    card.dataset.day = d.day;
 
-    d.legs.forEach((idx, legPos) => {
-      const leg      = currentLegs[idx];
-      const legMins  = Math.round((leg.hours || 0) * 60);
-      const isLastLeg = legPos === totalLegs - 1;
+    container.appendChild(card);
+  });
 
-      // First leg: show the departure location as a start node
-      if (legPos === 0) {
-        timedRows.push(
-          `<div class="dayleg-node dayleg-node--start">` +
-          `<span class="dayleg-node__time">${minsToHHMM(clockMins)}</span>` +
-          `<span class="dayleg-node__name">${leg.fromName}</span>` +
-          `</div>`
-        );
-        // Visit time at the starting park (if it's not the true origin)
-        if (visitMinutes > 0 && legPos === 0 && totalLegs > 1) {
-          timedRows.push(
-            `<div class="dayleg-visit">` +
-            `<span class="dayleg-visit__bar"></span>` +
-            `<span class="dayleg-visit__label">Explore park (${hoursToLabel(visitMinutes / 60)})</span>` +
-            `</div>`
-          );
-          clockMins += visitMinutes;
-        }
-      }
+  // ── Moving day boundaries ────────────────────────────────────────────────
+  // Drag a day's last leg onto the next day, or its first leg onto the
+  // previous one; ↑ / ↓ do the same for the focused leg.
+  let dragLeg = null;
 
-      const departAt = clockMins;
-      const arriveAt = clockMins + legMins;
-      clockMins = arriveAt;
+  container.querySelectorAll(".dayleg-node--movable").forEach((el) => {
+    const legIdx = Number(el.dataset.leg);
+    const day    = Number(el.closest(".daycard").dataset.day);
 
-      // Drive segment
-      timedRows.push(
-        `<div class="dayleg-drive">` +
-        `<span class="dayleg-drive__bar"></span>` +
-        `<span class="dayleg-drive__label">${fmt(leg.miles)} mi · ${fmt(leg.hours)} hr drive</span>` +
-        `</div>`
-      );
+    el.addEventListener("dragstart", (e) => {
+      dragLeg = { legIdx, day, earlier: "earlier" in el.dataset, later: "later" in el.dataset };
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", String(legIdx)); // required for Firefox
+      requestAnimationFrame(() => el.classList.add("is-dragging"));
+    });
+    el.addEventListener("dragend", () => {
+      el.classList.remove("is-dragging");
+      container.querySelectorAll(".daycard.is-drop-target").forEach((c) => c.classList.remove("is-drop-target"));
+      dragLeg = null;
+    });
+    el.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowUp" && "earlier" in el.dataset) moveDayBoundary(legIdx, "earlier");
+      else if (e.key === "ArrowDown" && "later" in el.dataset) moveDayBoundary(legIdx, "later");
+      else return;
+      e.preventDefault();
+      // Keep focus on the leg that moved
+      document.querySelector(`#dayplan .dayleg-node--movable[data-leg="${legIdx}"]`)?.focus();
+    });
+  });
+
+  const dropMove = (card) => {
+    const day = Number(card.dataset.day);
+    if (!dragLeg) return null;
+    if (dragLeg.earlier && day === dragLeg.day - 1) return "earlier";
+    if (dragLeg.later   && day === dragLeg.day + 1) return "later";
+    return null;
+  };
+  container.querySelectorAll(".daycard").forEach((card) => {
+    card.addEventListener("dragover", (e) => {
+      if (!dropMove(card)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+      card.classList.add("is-drop-target");
+    });
+    card.addEventListener("dragleave", (e) => {
+      if (!card.contains(e.relatedTarget)) card.classList.remove("is-drop-target");
+    });
+    card.addEventListener("drop", (e) => {
+      const move = dropMove(card);
+      if (!move) return;
+      e.preventDefault();
+      moveDayBoundary(dragLeg.legIdx, move);
+    });
+  });
+
+  renderBudget();
+}
+
+/**
+ * Which way leg `legIdx` of plan day `d` can move: `earlier` when it's the
+ * day's first leg and starts at the stop the previous day ended at, `later`
+ * when it follows another leg on the same day. Split legs and legs leaving
+ * a multi-night stay stay put.
+ */
+function dayMoves(plan, d, legIdx) {
+  const leg  = currentLegs[legIdx];
+  const stop = selectedParks.find((p) => p.id === leg?.fromId);
+  const k    = d.segments.findIndex((s) => s.leg === legIdx);
+  const seg  = d.segments[k];
+  if (!stop || !seg || seg.overnightFrom || seg.overnightTo) return { earlier: false, later: false };
+
+  const prev = plan[d.day - 2];
+  return {
+    earlier: k === 0 && !d.stay && !!prev && !prev.overnight && stopVisit(stop).days === 0,
+    later:   k > 0
+  };
+}
+
+/**
+ * Move the day boundary at the start of leg `legIdx`: "later" ends the day
+ * at the leg's start stop, "earlier" keeps the leg on the day before. Moving
+ * back over a manual break just removes it.
+ */
+function moveDayBoundary(legIdx, direction) {
+  const stop = selectedParks.find((p) => p.id === currentLegs[legIdx]?.fromId);
+  if (!stop) return;
+
+  const undo = direction === "later" ? "continue" : "end";
+  if (stop.dayBreak === undo) delete stop.dayBreak;
+  else stop.dayBreak = direction === "later" ? "end" : "continue";
+
+  applyDayBreaks();
+}
+
+/** Persist manual day breaks and re-plan, re-checking the rules. */
+function applyDayBreaks() {
+  saveTripState();
+  refitDayBudget();
+  renderViolations(computeViolations(currentLegs));
+  const { plan, droppedOptional } = generateDayPlan();
+  renderDayPlan(plan, droppedOptional);
+}
+
+/* ===============================
+   TRIP BUDGET
+================================ */
+// A night at a stop is priced at the nearest campground / lodge with a
+// listed fee within this distance
+const LODGING_SEARCH_MILES = 50;
+
+/**
+ * Nightly rate from a campground's free-text `fee` ("$24.00", "no fee"), or
+ * null when it doesn't start with a price.
+ */
+function campgroundNightlyFee(fee) {
+  if (typeof fee !== "string") return null;
+  if (/^\s*(no fee|free)\b/i.test(fee)) return 0;
+  const m = fee.match(/^\s*\$\s*(\d+(?:\.\d+)?)/);
+  return m ? Number(m[1]) : null;
+}
+
+/** Whole-dollar amount, e.g. "$1,240". */
+function fmtUsd(n) {
+  return Number.isFinite(n)
+    ? n.toLocaleString("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 })
+    : "—";
+}
+
+const ANNUAL_PASS_FALLBACK = { title: "America the Beautiful Annual Pass", cost: 80 };
+// At per-person sites the annual pass admits the holder and up to 3 more adults
+const PASS_PERSONS = 4;
+
+/** The national annual pass from passes.json, or the standard $80 one. */
+function annualPass() {
+  return NATIONAL_PASSES.find((p) =>
+    /annual/i.test(p.title) && !/senior|military|access|volunteer|4th grade/i.test(p.title) && p.cost > 0
+  ) ?? ANNUAL_PASS_FALLBACK;
+}
+
+/**
+ * A park's fee schedule ({vehicle, motorcycle, person, timedEntry,
+ * annualPass}, each only when listed). Older parks.json builds only carry
+ * the single entranceFee, which is read by its description.
+ */
+function parkFeeSchedule(park) {
+  if (park?.fees) return park.fees;
+  if (park?.entranceFee == null) return null;
+  const desc = park.entranceFeeDesc ?? "";
+  const kind = /timed entry|reservation/i.test(desc) ? "timedEntry"
+    : /per person/i.test(desc) ? "person"
+    : "vehicle";
+  return { [kind]: Number(park.entranceFee) || 0 };
+}
+
+/**
+ * What the party pays to enter a park code, from its fee schedule:
+ * {amount, gate, timedEntry, perPerson, covered, label}, or null when the
+ * park lists no fees. `gate` is the entrance fee — per vehicle, else per
+ * person for every traveller — and `covered` the part of it an annual pass
+ * would cover; timed-entry reservations are paid on top either way.
+ */
+function parkEntranceFee(code, travellers) {
+  const fees = parkFeeSchedule(PARKS_DATA.find((p) => p.parkCode === code));
+  if (!fees) return null;
+
+  const perPerson  = fees.vehicle == null && fees.person != null;
+  const gate       = perPerson ? fees.person * travellers : (fees.vehicle ?? 0);
+  const covered    = perPerson ? fees.person * Math.min(travellers, PASS_PERSONS) : gate;
+  const timedEntry = fees.timedEntry ?? 0;
+  const label = [
+    gate ? (perPerson ? `$${fees.person} per person` : `$${gate} per vehicle`) : "No entrance fee",
+    timedEntry ? `$${timedEntry} timed entry` : null
+  ].filter(Boolean).join(" + ");
+  return { amount: gate + timedEntry, gate, timedEntry, perPerson, covered, label };
+}
+
+/**
+ * Where a night is spent and what it costs: the overnight stop's own
+ * campground when it lists a fee, else the nearest priced one within
+ * LODGING_SEARCH_MILES. Null when nothing nearby is priced (or campgrounds
+ * haven't loaded).
+ */
+function nightLodging(coords, node) {
+  if (node?.fee != null) return { name: node.name, fee: node.fee };
+  if (!coords) return null;
+
+  let best = null;
+  for (const f of campgroundCache?.features ?? []) {
+    const fee = campgroundNightlyFee(f.properties?.fee);
+    const c   = f.geometry?.coordinates;
+    if (fee === null || !Array.isArray(c)) continue;
+    const miles = haversineMiles(coords, c);
+    if (miles <= LODGING_SEARCH_MILES && (!best || miles < best.miles)) {
+      best = { name: f.properties.name, fee, miles };
+    }
+  }
+  return best;
+}
+
+/**
+ * Cost estimate for the day plan of `legs`:
+ *  - fuel: each day's miles at tripRules.vehicleMpg and fuelPrice
+ *  - entrance fees: once per park code, on the day the park is first
+ *    reached; per-person fees are paid by every traveller
+ *  - lodging: every night but the last, at nightLodging() where the day ends
+ *
+ * @returns {{days:{day:number, miles:number, fuel:number, entrance:number,
+ *   lodging:number, lodgingName:(string|null)}[], fuel:number,
+ *   entrance:number, lodging:number, total:number, gallons:number,
+ *   nights:number, parks:{code, name, amount, gate, timedEntry, perPerson,
+ *   covered, label}[], pass:{title, cost, covered, savings},
+ *   unpricedParks:string[], unpricedNights:number}}
+ *   `pass.savings` is what the annual pass saves over paying at each gate
+ *   (negative when it costs more).
+ */
+function tripBudget(legs = currentLegs) {
+  const mpg        = tripRules.vehicleMpg > 0 ? tripRules.vehicleMpg : 0;
+  const travellers = Math.max(1, tripRules.travellers || 1);
+  const stopsById  = new Map(routeStops(selectedParks).map((s) => [s.id, s]));
+  const plan       = legs.length ? planDays(legs).plan : [];
+
+  const charged = new Set();
+  const parks = [];
+  const unpricedParks = [];
+  let unpricedNights = 0;
+
+  const days = plan.map((d, k) => {
+    // Parks reached today: the first stop on day 1, then each arrival
+    const reached = d.events.filter((e) => e.type === "arrive").map((e) => stopsById.get(legs[e.leg].toId));
+    if (k === 0) reached.unshift(stopsById.get(legs[0].fromId));
+
+    let entrance = 0;
+    for (const stop of reached) {
+      const code = stopParkCode(stop);
+      if (!code || charged.has(code)) continue;
+      charged.add(code);
+      const fee = parkEntranceFee(code, travellers);
+      if (!fee) { unpricedParks.push(stop.name); continue; }
+      entrance += fee.amount;
+      parks.push({ code, name: stop.name, ...fee });
+    }
+
+    // Every night but the last is spent where the day ends
+    let lodging = 0;
+    let lodgingName = null;
+    if (k < plan.length - 1) {
+      const end   = d.events.at(-1);
+      const night = nightLodging(end.location.coords, end.node);
+      if (night) ({ fee: lodging, name: lodgingName } = night);
+      else unpricedNights++;
+    }
+
+    const fuel = mpg ? (d.miles / mpg) * (tripRules.fuelPrice || 0) : 0;
+    return { day: d.day, miles: d.miles, fuel, entrance, lodging, lodgingName };
+  });
+
+  const pass    = annualPass();
+  const covered = parks.reduce((total, p) => total + p.covered, 0);
+
+  const sum = (key) => days.reduce((total, d) => total + d[key], 0);
+  const fuel     = sum("fuel");
+  const entrance = sum("entrance");
+  const lodging  = sum("lodging");
+  return {
+    days,
+    fuel,
+    entrance,
+    lodging,
+    total:   fuel + entrance + lodging,
+    gallons: mpg ? sum("miles") / mpg : 0,
+    nights:  Math.max(0, days.length - 1),
+    parks,
+    pass:    { title: pass.title, cost: pass.cost, covered, savings: covered - pass.cost },
+    unpricedParks,
+    unpricedNights
+  };
+}
+
+/**
+ * Whether the annual pass pays off for a tripBudget() result, e.g.
+ * "America the Beautiful Annual Pass ($80) saves $25 over gate fees".
+ */
+function passLabel(b) {
+  const { title, cost, covered, savings } = b.pass;
+  if (!covered) return `${title} (${fmtUsd(cost)}) doesn't help: no entrance fees on this trip`;
+  return savings > 0
+    ? `${title} (${fmtUsd(cost)}) saves ${fmtUsd(savings)} over ${fmtUsd(covered)} in gate fees`
+    : `${title} (${fmtUsd(cost)}) costs ${fmtUsd(-savings)} more than the ${fmtUsd(covered)} in gate fees`;
+}
 
-      // Arrival node
-      timedRows.push(
-        `<div class="dayleg-node dayleg-node--arrive">` +
-        `<span class="dayleg-node__time">${minsToHHMM(arriveAt)}</span>` +
-        `<span class="dayleg-node__name">${leg.toName}</span>` +
-        `</div>`
-      );
+/** Caveats for a tripBudget() result, e.g. "No listed fee: Big Cypress". */
+function budgetNotes(b) {
+  // Lodging is priced from campgrounds.json, loaded with the day plan or Lodging tab
+  const nightsNote = !campgroundCache
+    ? "Lodging is priced once campgrounds load — open Day-by-Day or Lodging"
+    : `${b.unpricedNights} night${b.unpricedNights > 1 ? "s" : ""} with no priced campground nearby`;
+  return [
+    b.unpricedParks.length ? `No listed entrance fee: ${b.unpricedParks.join(", ")}` : null,
+    b.unpricedNights ? nightsNote : null
+  ].filter(Boolean);
+}
 
-      // Visit time at this destination (not shown for the final stop of the day)
-      if (visitMinutes > 0 && !isLastLeg) {
-        timedRows.push(
-          `<div class="dayleg-visit">` +
-          `<span class="dayleg-visit__bar"></span>` +
-          `<span class="dayleg-visit__label">Explore park (${hoursToLabel(visitMinutes / 60)})</span>` +
-          `</div>`
-        );
-        clockMins += visitMinutes;
-      }
-    });
+/** Render the Budget panel for `legs` (defaults to currentLegs). */
+function renderBudget(legs = currentLegs) {
+  const el = document.getElementById("budget-summary");
+  if (!el) return;
 
-    card.innerHTML = `
-      <div class="daycard__top">
-        <div class="daycard__title">Day ${d.day}</div>
-        <div class="daycard__meta">
-          <span class="chip">${fmt(d.miles)} mi</span>
-          <span class="chip">${fmt(d.driveHours)} hr drive</span>
-          <span class="chip">${minsToHHMM(d.startMins)}–${minsToHHMM(d.endMins)}</span>
-        </div>
-      </div>
-      <div class="daycard__body daycard__timeline">${timedRows.join("")}</div>
-    `;
+  if (!legs.length) {
+    el.innerHTML = `<div class="empty">Build a route to estimate fuel, fees and lodging.</div>`;
+    return;
+  }
 
-    container.appendChild(card);
-  });
+  const b = tripBudget(legs);
+  const notes = budgetNotes(b);
+  el.innerHTML = `
+    <div class="budget__total">${fmtUsd(b.total)} <span class="subtle">estimated</span></div>
+    <div class="budget__rows">
+      <span>Fuel</span><span>${fmtUsd(b.fuel)}</span><span class="subtle">${fmt(b.gallons, 0)} gal</span>
+      <span>Entrance fees</span><span>${fmtUsd(b.entrance)}</span><span class="subtle">${b.parks.length} park${b.parks.length === 1 ? "" : "s"}</span>
+      <span>Lodging</span><span>${fmtUsd(b.lodging)}</span><span class="subtle">${b.nights} night${b.nights === 1 ? "" : "s"}</span>
+    </div>
+    <div class="budget__pass${b.pass.savings > 0 ? " is-good" : ""}">🎟 ${passLabel(b)}.</div>
+    <details class="budget__days">
+      <summary>Per day</summary>
+      <table>
+        <thead><tr><th>Day</th><th>Fuel</th><th>Fees</th><th>Lodging</th></tr></thead>
+        <tbody>${b.days.map((d) => `
+          <tr>
+            <td>${d.day}</td>
+            <td>${fmtUsd(d.fuel)}</td>
+            <td>${d.entrance ? fmtUsd(d.entrance) : ""}</td>
+            <td${d.lodgingName ? ` title="${d.lodgingName}"` : ""}>${d.lodgingName ? fmtUsd(d.lodging) : ""}</td>
+          </tr>`).join("")}
+        </tbody>
+      </table>
+    </details>
+    ${notes.map((n) => `<div class="subtle">${n}.</div>`).join("")}
+  `;
 }
 
 /* ===============================
@@ -1028,47 +3183,525 @@ function exportDayPlanCSV() {
   lines.push(["Generated", new Date().toISOString()].join(","));
   lines.push(["MaxHoursPerDay", tripRules.maxDriveHoursPerDay].join(","));
   lines.push(["MaxSingleLegHours", tripRules.maxSingleLegHours].join(","));
-  lines.push(["BreakMinutesPerDay", tripRules.breakMinutesPerDay].join(","));
+  lines.push(["Breaks", `"${breakRulesLabel()}"`].join(","));
   lines.push(["SpeedMph", tripRules.speedMph].join(","));
+  if (tripDayDate(1)) lines.push(["StartDate", isoDate(tripDayDate(1))].join(","));
+  const qh = (s) => `"${String(s).replaceAll('"', '""')}"`;
+  if (originPoint)      lines.push(["Origin", qh(originPoint.label), ...originPoint.lngLat.map((n) => n.toFixed(5))].join(","));
+  if (destinationPoint) lines.push(["Destination", qh(destinationPoint.label), ...destinationPoint.lngLat.map((n) => n.toFixed(5))].join(","));
+  const budget = tripBudget();
+  lines.push(["VehicleMpg", tripRules.vehicleMpg].join(","));
+  lines.push(["FuelPrice", tripRules.fuelPrice].join(","));
+  lines.push(["Travellers", tripRules.travellers].join(","));
+  lines.push(["BudgetFuel", budget.fuel.toFixed(2)].join(","));
+  lines.push(["BudgetEntranceFees", budget.entrance.toFixed(2)].join(","));
+  lines.push(["BudgetLodging", budget.lodging.toFixed(2)].join(","));
+  lines.push(["BudgetTotal", budget.total.toFixed(2)].join(","));
+  lines.push(["AnnualPassSavings", budget.pass.savings.toFixed(2), qh(passLabel(budget))].join(","));
+  budgetNotes(budget).forEach((n) => lines.push(["BudgetNote", qh(n)].join(",")));
   lines.push("");
-  lines.push(["Day", "Leg", "Depart", "From", "Arrive", "To", "Miles", "DriveHr"].join(","));
+  lines.push(["Day", "Date", "Weekday", "Event", "Start", "StartTZ", "End", "EndTZ", "Place", "To", "Lon", "Lat", "Miles", "DriveHr", "Source", "Notes"].join(","));
 
+  // One row per schedule event
+  const q = (s) => `"${String(s).replaceAll('"', '""')}"`;
+  const EVENT_NAMES = { start: "Start", visit: "Visit", drive: "Drive", arrive: "Arrive", overnight: "Overnight" };
   dayPlan.forEach((d) => {
-    let clockMins = d.startMins;
-    d.legs.forEach((idx, legPos) => {
-      const leg     = currentLegs[idx];
-      const legMins = Math.round((leg.hours || 0) * 60);
-      const departAt = clockMins;
-      const arriveAt = clockMins + legMins;
-      clockMins = arriveAt;
-
-      const q = (s) => `"${String(s).replaceAll('"', '""')}"`;
+    const date   = zoneDate(d.day);
+    const tzName = (tz) => (tz ? zoneName(tz, date) : "");
+    const dayCols = [
+      d.day,
+      d.date ? isoDate(d.date) : "",
+      d.date ? d.date.toLocaleDateString("en-US", { weekday: "short" }) : ""
+    ];
+
+    d.events.forEach((e) => {
+      const drive  = e.type === "drive";
+      const place  = drive ? e.from : e.location;
+      const coords = drive ? null : place.coords;
+      const notes  = drive ? e.crossings.map((c) => crossingLabel(c, date)).join("; ")
+        : e.type === "overnight" ? overnightLabel(e.node)
+        : e.type === "arrive" && e.stayDays > 0 ? `${e.stayDays}-night stay`
+        : e.allDay ? "All day" : "";
       lines.push(
         [
-          d.day,
-          legPos + 1,
-          minsToHHMM(departAt),
-          q(leg.fromName),
-          minsToHHMM(arriveAt),
-          q(leg.toName),
-          fmt(leg.miles),
-          fmt(leg.hours)
+          ...dayCols,
+          e.type === "break" ? (e.kind === "lunch" ? "Lunch" : "Rest stop") : EVENT_NAMES[e.type],
+          minsToHHMM(e.start),
+          tzName(e.zone),
+          minsToHHMM(e.end),
+          tzName(e.endZone ?? e.zone),
+          q(place.name),
+          drive ? q(e.to.name) : "",
+          coords ? coords[0].toFixed(5) : "",
+          coords ? coords[1].toFixed(5) : "",
+          drive ? fmt(e.miles) : "",
+          drive ? fmt(e.driveMins / 60) : "",
+          drive ? currentLegs[e.leg].source ?? "estimate" : "",
+          notes ? q(notes) : ""
         ].join(",")
       );
     });
   });
 
-  const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8" });
+  // Costs per day
+  lines.push("");
+  lines.push(["Day", "Miles", "Fuel", "EntranceFees", "Lodging", "LodgingAt"].join(","));
+  budget.days.forEach((d) => {
+    lines.push([d.day, fmt(d.miles), d.fuel.toFixed(2), d.entrance.toFixed(2), d.lodging.toFixed(2), d.lodgingName ? q(d.lodgingName) : ""].join(","));
+  });
+
+  downloadText("national-parks-day-plan.csv", lines.join("\n"), "text/csv;charset=utf-8");
+  showToast("✅ Day plan CSV downloaded");
+}
+
+/** Save `text` as a download named `filename`. */
+function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement("a");
   a.href = url;
-  a.download = "national-parks-day-plan.csv";
+  a.download = filename;
   document.body.appendChild(a);
   a.click();
   a.remove();
   URL.revokeObjectURL(url);
-  showToast("✅ Day plan CSV downloaded");
+}
+
+/** NPS page for a route stop, or "" for custom points. */
+function stopNpsUrl(stop) {
+  const code = stopParkCode(stop);
+  if (!code) return "";
+  return PARKS_DATA.find((p) => p.parkCode === code)?.url ?? `https://www.nps.gov/${code}/index.htm`;
+}
+
+/** Designation and state(s) of a stop's NPS unit, from PARKS_DATA or NPS_STAMPS. */
+function stopUnitInfo(stop) {
+  const code = stopParkCode(stop);
+  if (!code) return {};
+  const park = PARKS_DATA.find((p) => p.parkCode === code);
+  if (park) return { designation: park.designation, state: park.state };
+  const stamp = (window.NPS_STAMPS ?? []).find((u) => u.parkCode === code);
+  return stamp ? { designation: stamp.designation, state: stamp.states } : {};
+}
+
+// ── iCalendar ────────────────────────────────────────────────────────────────
+/** Escape an iCalendar TEXT value. */
+function icsText(s) {
+  return String(s).replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, "\\n");
+}
+
+/** Fold a content line at 75 octets (RFC 5545 §3.1). */
+function icsFold(line) {
+  const enc = new TextEncoder();
+  const parts = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (bytes + n > (parts.length ? 74 : 75)) {
+      parts.push(cur);
+      cur = "";
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  parts.push(cur);
+  return parts.join("\r\n ");
+}
+
+/**
+ * DTSTART / DTEND property for `mins` local clock minutes on trip day `day`,
+ * written in UTC from the offset of `zone` (or of the point, when the zone
+ * isn't known) that day, so calendar apps needn't know the zone's rules.
+ */
+function icsDateTime(name, day, mins, zone, coords) {
+  const date   = tripDayDate(day);
+  const wall   = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 0, mins);
+  const offset = zone ? zoneOffsetMins(zone, date) : coords ? utcOffsetMins(coords, date) : 0;
+  const stamp  = new Date(wall - offset * 60000).toISOString().replace(/[-:]/g, "").slice(0, 15);
+  return `${name}:${stamp}Z`;
+}
+
+/**
+ * Calendar events for the day plan: one per leg driven each day (its breaks
+ * and zone changes in the description) and one per park visit, with the same
+ * local times the day-by-day view shows.
+ * @returns {{summary, day, start, end, startZone, endZone, allDay, place:{name, coords}, description}[]}
+ */
+function dayPlanCalendarEvents(plan) {
+  const stopsById = new Map(routeStops(selectedParks).map((s) => [s.id, s]));
+  const stopAt    = (leg) => stopsById.get(leg === -1 ? currentLegs[0].fromId : currentLegs[leg].toId);
+  const legLine   = (leg) => `${leg.fromName} → ${leg.toName}: ${fmt(leg.miles)} mi, ${fmt(leg.hours)} hr`;
+  const events = [];
+
+  for (const d of plan) {
+    const date = zoneDate(d.day);
+    let drive = null; // the leg being driven: its drives and breaks so far
+
+    const endDrive = () => {
+      if (!drive) return;
+      const first = drive.parts[0];
+      const last  = drive.parts.at(-1);
+      const leg   = currentLegs[first.leg];
+      const miles = drive.parts.reduce((sum, e) => sum + (e.miles ?? 0), 0);
+      const mins  = drive.parts.reduce((sum, e) => sum + (e.driveMins ?? 0), 0);
+      const split = Math.abs(miles - (leg.miles || 0)) > 0.5;
+      const url   = stopNpsUrl(stopsById.get(leg.toId));
+      events.push({
+        summary:   `Drive: ${first.from.name} → ${last.to.name}${last.toward ? ` (toward ${last.toward})` : ""}`,
+        day:       d.day,
+        start:     first.start,
+        end:       last.end,
+        startZone: first.zone,
+        endZone:   last.endZone,
+        place:     last.to,
+        description: [
+          `${fmt(miles)} mi · ${fmt(mins / 60)} hr drive`,
+          split ? `Full leg ${legLine(leg)}` : `Leg ${legLine(leg)}`,
+          ...drive.parts.filter((e) => e.type === "break").map((e) => `${breakLabel(e)} at ${clockLabel(e.start, e.zone, date)}`),
+          ...drive.parts.flatMap((e) => e.crossings ?? []).map((c) => crossingLabel(c, date)),
+          url
+        ].filter(Boolean).join("\n")
+      });
+      drive = null;
+    };
+
+    for (const e of d.events) {
+      if (e.type === "drive" || (e.type === "break" && drive)) {
+        if (drive && drive.parts[0].leg !== e.leg) endDrive();
+        (drive ??= { parts: [] }).parts.push(e);
+        continue;
+      }
+      endDrive();
+      if (e.type !== "visit") continue;
+
+      const stop = stopAt(e.leg);
+      const leg  = e.leg >= 0 ? currentLegs[e.leg] : null;
+      events.push({
+        summary:   `Visit: ${e.location.name}`,
+        day:       d.day,
+        start:     e.start,
+        end:       e.end,
+        startZone: e.zone,
+        endZone:   e.zone,
+        allDay:    !!e.allDay,
+        place:     e.location,
+        description: [
+          e.allDay ? "Explore all day — no driving" : `Explore park (${hoursToLabel((e.end - e.start) / 60)})`,
+          leg ? `Arrived by leg ${legLine(leg)}` : null,
+          stopNpsUrl(stop)
+        ].filter(Boolean).join("\n")
+      });
+    }
+    endDrive();
+  }
+  return events;
+}
+
+/**
+ * Download the day plan as an .ics calendar. Needs a start date; loads the
+ * zone grid first so every time is converted from its local zone.
+ */
+async function exportDayPlanICS() {
+  if (!tripDayDate(1)) {
+    showToast("Set a trip start date to export a calendar");
+    return;
+  }
+  if (!currentLegs.length) return;
+  await loadTimeZoneData();
+  const { plan } = planDays(currentLegs);
+  if (!plan.length) return;
+
+  const events = dayPlanCalendarEvents(plan);
+  const now    = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//National Parks Planner//Day plan//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText("National Parks Trip")}`
+  ];
+
+  events.forEach((ev, i) => {
+    const coords = ev.place.coords;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${isoDate(tripDayDate(ev.day))}-${i}@national-parks-planner`,
+      `DTSTAMP:${now}`,
+      ...(ev.allDay
+        ? [
+            `DTSTART;VALUE=DATE:${isoDate(tripDayDate(ev.day)).replaceAll("-", "")}`,
+            `DTEND;VALUE=DATE:${isoDate(tripDayDate(ev.day + 1)).replaceAll("-", "")}`
+          ]
+        : [
+            icsDateTime("DTSTART", ev.day, ev.start, ev.startZone, coords),
+            icsDateTime("DTEND",   ev.day, ev.end,   ev.endZone,   coords)
+          ]),
+      `SUMMARY:${icsText(ev.summary)}`,
+      `LOCATION:${icsText(ev.place.name)}`,
+      ...(coords ? [`GEO:${coords[1].toFixed(5)};${coords[0].toFixed(5)}`] : []),
+      `DESCRIPTION:${icsText(ev.description)}`,
+      "END:VEVENT"
+    );
+  });
+  lines.push("END:VCALENDAR");
+
+  downloadText("national-parks-trip.ics", lines.map(icsFold).join("\r\n") + "\r\n", "text/calendar;charset=utf-8");
+  showToast(`📅 Calendar downloaded (${events.length} events)`);
+}
+
+// ── Map files ────────────────────────────────────────────────────────────────
+/**
+ * Route stops in trip order for map-file exports, with the origin and
+ * destination under their own labels.
+ */
+function exportStops() {
+  return routeStops(selectedParks).map((s) => ({
+    ...s,
+    name: s.source === "origin" ? originPoint.label
+      : s.source === "destination" ? destinationPoint.label
+      : s.name
+  }));
+}
+
+/** One-line description of a stop, e.g. "National Park · UT · Half day · https://…". */
+function stopDescription(stop) {
+  if (stop.source === "origin")      return "Trip origin";
+  if (stop.source === "destination") return "Trip destination";
+  const unit = stopUnitInfo(stop);
+  return [
+    unit.designation,
+    unit.state,
+    stop.visit ? visitLabel(stop.visit) : null,
+    stop.mustSee === false ? "optional" : null,
+    stopNpsUrl(stop) || null
+  ].filter(Boolean).join(" · ");
+}
+
+/** Escape text for XML content and attribute values. */
+function xmlText(s) {
+  return String(s).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+/**
+ * Each driving day's path — the stretches of leg geometry it covers, joined
+ * without repeated points — as [{ day, coords }].
+ */
+function dayPaths(plan) {
+  return plan
+    .map((d) => ({
+      day: d.day,
+      coords: d.segments
+        .flatMap((s) => legPartCoords(currentLegs[s.leg], s.fromFrac, s.toFrac) ?? [])
+        .filter((c, i, all) => !i || c[0] !== all[i - 1][0] || c[1] !== all[i - 1][1])
+    }))
+    .filter((p) => p.coords.length >= 2);
+}
+
+/**
+ * Download the trip as GPX 1.1: a waypoint per stop (origin and destination
+ * included), one track with a segment per driving day, and — when
+ * #gpx-route is ticked — a route through the stops in order.
+ */
+function exportTripGPX() {
+  if (!currentLegs.length) return;
+  const { plan } = planDays(currentLegs);
+
+  const pt = (tag, [lon, lat], inner = "") => `<${tag} lat="${lat.toFixed(6)}" lon="${lon.toFixed(6)}">${inner}</${tag}>`;
+  const named = (s) => {
+    const url  = stopNpsUrl(s);
+    const desc = stopDescription(s);
+    return `<name>${xmlText(s.name)}</name>` +
+      (desc ? `<desc>${xmlText(desc)}</desc>` : "") +
+      (url ? `<link href="${xmlText(url)}"><text>NPS</text></link>` : "");
+  };
+
+  const stops     = exportStops();
+  const stopsById = new Map(stops.map((s) => [s.id, s]));
+  const ordered   = [stopsById.get(currentLegs[0].fromId), ...currentLegs.map((l) => stopsById.get(l.toId))].filter(Boolean);
+  const paths     = dayPaths(plan);
+  const withRoute = !!document.getElementById("gpx-route")?.checked;
+
+  const xml = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="National Parks Planner" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `<metadata><name>National Parks Trip</name><time>${new Date().toISOString()}</time></metadata>`,
+    ...stops.map((s) => pt("wpt", s.coords, `${named(s)}<sym>${s.source === "origin" || s.source === "destination" ? "Flag, Blue" : "Park"}</sym>`)),
+    ...(withRoute ? [`<rte><name>National Parks Trip — stops</name>`, ...ordered.map((s) => pt("rtept", s.coords, named(s))), `</rte>`] : []),
+    `<trk><name>National Parks Trip</name><desc>${xmlText(`One segment per driving day: ${paths.map((p) => tripDayLabel(p.day)).join(", ")}`)}</desc>`,
+    ...paths.map((p) => `<trkseg>${p.coords.map((c) => pt("trkpt", c)).join("")}</trkseg>`),
+    `</trk>`,
+    `</gpx>`
+  ].join("\n");
+
+  downloadText("national-parks-trip.gpx", xml, "application/gpx+xml");
+  showToast("🧭 GPX downloaded");
+}
+
+// Line colours for the driving days in KML / GeoJSON exports, repeating
+const EXPORT_DAY_COLORS = ["#2d6a4f", "#e76f51", "#457b9d", "#e9c46a", "#8e44ad", "#f4a261", "#1d3557"];
+const EXPORT_SKIPPED_COLOR = "#999999";
+
+/**
+ * The trip as GeoJSON features, shared by the KML and GeoJSON exports: a
+ * Point per route stop (origin and destination included) and a LineString
+ * per leg, each tagged with the 1-based day it is reached or driven on.
+ * Legs to optional stops the day plan skips get a null day.
+ */
+function tripFeatures() {
+  const { plan, arriveDays } = planDays(currentLegs);
+  const legDays = currentLegs.map((_, i) =>
+    plan.filter((d) => d.segments.some((s) => s.leg === i)).map((d) => d.day));
+  const stopDays = new Map([[currentLegs[0].fromId, 1]]);
+  currentLegs.forEach((l, i) => {
+    if (arriveDays[i] && !stopDays.has(l.toId)) stopDays.set(l.toId, arriveDays[i]);
+  });
+
+  const routeStopList = exportStops();
+  const names = new Map(routeStopList.map((s) => [s.id, s.name]));
+
+  const stops = routeStopList.map((s, order) => {
+    const endpoint = s.source === "origin" || s.source === "destination";
+    const unit     = stopUnitInfo(s);
+    const visit    = stopVisit(s);
+    return {
+      type: "Feature",
+      geometry: { type: "Point", coordinates: s.coords },
+      properties: {
+        kind:        endpoint ? s.source : "stop",
+        order,
+        id:          s.id,
+        name:        s.name,
+        source:      s.source ?? null,
+        parkCode:    stopParkCode(s),
+        designation: unit.designation ?? null,
+        state:       unit.state ?? null,
+        description: stopDescription(s),
+        url:         stopNpsUrl(s) || null,
+        visit:       endpoint ? null : s.visit ?? null,
+        visitLabel:  endpoint ? null : visitLabel(s.visit),
+        visitMins:   visit.mins,
+        visitDays:   visit.days,
+        mustSee:     s.mustSee !== false,
+        locked:      !!s.locked,
+        dayBreak:    s.dayBreak ?? null,
+        day:         stopDays.get(s.id) ?? null
+      }
+    };
+  });
+
+  const legs = currentLegs.map((leg, index) => {
+    const coords = legCoords(leg);
+    if (!coords) return null;
+    const days = legDays[index];
+    const day  = days[0] ?? null;
+    return {
+      type: "Feature",
+      geometry: { type: "LineString", coordinates: coords },
+      properties: {
+        kind:   "leg",
+        index,
+        name:   `${names.get(leg.fromId) ?? leg.fromName} → ${names.get(leg.toId) ?? leg.toName}`,
+        fromId: leg.fromId,
+        toId:   leg.toId,
+        miles:  Number.isFinite(leg.miles) ? +leg.miles.toFixed(1) : null,
+        hours:  Number.isFinite(leg.hours) ? +leg.hours.toFixed(2) : null,
+        source: leg.source ?? null,
+        day,
+        days,
+        stroke: day ? EXPORT_DAY_COLORS[(day - 1) % EXPORT_DAY_COLORS.length] : EXPORT_SKIPPED_COLOR,
+        "stroke-width": 4
+      }
+    };
+  }).filter(Boolean);
+
+  return [...stops, ...legs];
+}
+
+/**
+ * Download the trip as GeoJSON. Stop features keep the planner's own fields
+ * (id, source, visit, mustSee, locked, dayBreak) and the collection carries a
+ * `planner` member, so the file can be imported back as the same trip.
+ */
+function exportTripGeoJSON() {
+  if (!currentLegs.length) return;
+  const collection = {
+    type: "FeatureCollection",
+    name: "National Parks Trip",
+    planner: {
+      version:    1,
+      exportedAt: new Date().toISOString(),
+      roundTrip:  isRoundTrip(),
+      startDate:  tripRules.startDate || null
+    },
+    features: tripFeatures()
+  };
+  downloadText("national-parks-trip.geojson", JSON.stringify(collection, null, 2), "application/geo+json");
+  showToast("🗺️ GeoJSON downloaded");
+}
+
+/**
+ * Download the trip as KML for Google Earth / My Maps: a Stops folder and a
+ * Legs folder, each leg styled by its day, with every feature property kept
+ * as ExtendedData.
+ */
+function exportTripKML() {
+  if (!currentLegs.length) return;
+  const features = tripFeatures();
+
+  // KML colours are aabbggrr
+  const kmlColor  = (hex) => `ff${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+  const kmlCoords = (coords) => coords.map(([lon, lat]) => `${lon.toFixed(6)},${lat.toFixed(6)}`).join(" ");
+  const lineStyle = (id, hex) =>
+    `<Style id="${id}"><LineStyle><color>${kmlColor(hex)}</color><width>4</width></LineStyle></Style>`;
+  const iconStyle = (id, icon) =>
+    `<Style id="${id}"><IconStyle><Icon><href>https://maps.google.com/mapfiles/kml/paddle/${icon}.png</href></Icon></IconStyle></Style>`;
+  const extendedData = (props) => {
+    const rows = Object.entries(props)
+      .filter(([key, value]) => value !== null && key !== "stroke" && key !== "stroke-width")
+      .map(([key, value]) => `<Data name="${key}"><value>${xmlText(Array.isArray(value) ? value.join(",") : typeof value === "object" ? JSON.stringify(value) : value)}</value></Data>`);
+    return `<ExtendedData>${rows.join("")}</ExtendedData>`;
+  };
+
+  const stops = features.filter((f) => f.geometry.type === "Point");
+  const legs  = features.filter((f) => f.geometry.type === "LineString");
+  const days  = [...new Set(legs.map((f) => f.properties.day).filter(Boolean))].sort((a, b) => a - b);
+
+  const stopMark = ({ geometry, properties: p }) =>
+    `<Placemark><name>${xmlText(p.name)}</name>` +
+    (p.description ? `<description>${xmlText(p.description)}</description>` : "") +
+    `<styleUrl>#${p.kind === "stop" ? "stop" : "endpoint"}</styleUrl>${extendedData(p)}` +
+    `<Point><coordinates>${kmlCoords([geometry.coordinates])}</coordinates></Point></Placemark>`;
+  const legMark = ({ geometry, properties: p }) =>
+    `<Placemark><name>${xmlText(`${p.day ? tripDayLabel(p.day) : "Skipped"}: ${p.name}`)}</name>` +
+    `<description>${xmlText(`${fmt(p.miles, 0)} mi · ${Number.isFinite(p.hours) ? hoursToLabel(p.hours) : "—"}`)}</description>` +
+    `<styleUrl>#${p.day ? `day-${p.day}` : "skipped"}</styleUrl>${extendedData(p)}` +
+    `<LineString><tessellate>1</tessellate><coordinates>${kmlCoords(geometry.coordinates)}</coordinates></LineString></Placemark>`;
+
+  const xml = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="http://www.opengis.net/kml/2.2">`,
+    `<Document><name>National Parks Trip</name>`,
+    iconStyle("stop", "grn-circle"),
+    iconStyle("endpoint", "blu-stars"),
+    ...days.map((d) => lineStyle(`day-${d}`, EXPORT_DAY_COLORS[(d - 1) % EXPORT_DAY_COLORS.length])),
+    lineStyle("skipped", EXPORT_SKIPPED_COLOR),
+    `<Folder><name>Stops</name>`,
+    ...stops.map(stopMark),
+    `</Folder>`,
+    `<Folder><name>Legs</name>`,
+    ...legs.map(legMark),
+    `</Folder>`,
+    `</Document>`,
+    `</kml>`
+  ].join("\n");
+
+  downloadText("national-parks-trip.kml", xml, "application/vnd.google-earth.kml+xml");
+  showToast("🌍 KML downloaded");
 }
 
 async function copyTripBrief() {
@@ -1079,12 +3712,33 @@ async function copyTripBrief() {
     ? Math.max(1, Math.ceil(totalHours / tripRules.maxDriveHoursPerDay))
     : 0;
 
-  const order = selectedParks
-    .map((p, i) => `${i + 1}. ${p.name}${p.locked ? " (locked)" : ""}`)
-    .join("\n");
+  const order = [
+    originPoint ? `Start: ${originPoint.label}` : null,
+    ...selectedParks.map((p, i) => `${i + 1}. ${p.name}${p.locked ? " (locked)" : ""}`),
+    destinationPoint ? `End: ${destinationPoint.label}` : null
+  ].filter(Boolean).join("\n");
 
   const issues = computeViolations(currentLegs).map((x) => `- ${x.text}`).join("\n") || "- None";
 
+  // One line per day of the plan: "Day 2 · Thu, Oct 15: A → B → C (310 mi, 5.6 hr)"
+  if (!dayPlan.length && currentLegs.length) generateDayPlan();
+  const schedule = dayPlan.map((d) => {
+    if (d.stay) return `${tripDayLabel(d.day)}: ${d.startName} (no driving)`;
+    const places = [
+      d.startName,
+      ...d.segments.map((seg) => seg.overnightTo?.name ?? currentLegs[seg.leg].toName)
+    ];
+    return `${tripDayLabel(d.day)}: ${places.join(" → ")} (${fmt(d.miles)} mi, ${fmt(d.driveHours)} hr)`;
+  }).join("\n");
+
+  const startDate = tripDayDate(1);
+  const endDate   = dayPlan.length ? tripDayDate(dayPlan.length) : null;
+
+  const budget = tripBudget();
+  const parkFees = budget.parks
+    .map((p) => `${p.name} ${fmtUsd(p.amount)} (${p.label})`)
+    .join(", ");
+
   const text = [
     "National Parks Planner — Trip Brief",
     `Generated: ${new Date().toLocaleString()}`,
@@ -1092,8 +3746,9 @@ async function copyTripBrief() {
     "Rules",
     `- Max driving hours/day: ${tripRules.maxDriveHoursPerDay}`,
     `- Max single-leg hours: ${tripRules.maxSingleLegHours}`,
-    `- Break minutes/day: ${tripRules.breakMinutesPerDay}`,
+    `- Breaks: ${breakRulesLabel()}`,
     `- Speed (mph): ${tripRules.speedMph}`,
+    startDate ? `- Dates: ${formatTripDate(startDate)} – ${formatTripDate(endDate ?? startDate)}, ${(endDate ?? startDate).getFullYear()}` : null,
     "",
     "Summary",
     `- Total miles: ${fmt(totalMiles)} mi`,
@@ -1104,9 +3759,20 @@ async function copyTripBrief() {
     "Order",
     order || "(none)",
     "",
+    "Days",
+    schedule || "(no day plan)",
+    "",
+    "Budget",
+    `- Total: ${fmtUsd(budget.total)}`,
+    `- Fuel: ${fmtUsd(budget.fuel)} (${fmt(budget.gallons, 0)} gal at ${tripRules.vehicleMpg} mpg, $${fmt(tripRules.fuelPrice, 2)}/gal)`,
+    `- Entrance fees: ${fmtUsd(budget.entrance)}${parkFees ? ` — ${parkFees}` : ""}`,
+    `- Lodging: ${fmtUsd(budget.lodging)} (${budget.nights} night${budget.nights === 1 ? "" : "s"})`,
+    `- Annual pass: ${passLabel(budget)}`,
+    ...budgetNotes(budget).map((n) => `- ${n}`),
+    "",
     "Issues to Fix",
     issues
-  ].join("\n");
+  ].filter((line) => line !== null).join("\n");
 
   await navigator.clipboard.writeText(text);
   showToast("📋 Trip brief copied to clipboard");
@@ -1135,10 +3801,11 @@ function printTrip() {
     const season = parkData?.bestSeason ? `Best: ${parkData.bestSeason}` : "";
     const parkCode = parkData?.parkCode ?? "";
     const npsUrl = parkCode ? `https://www.nps.gov/${parkCode}/index.htm` : "";
-    const meta = [acres, season].filter(Boolean).join(" · ");
+    const visit = p.visit ? `Visit: ${visitLabel(p.visit)}` : "";
+    const meta = [acres, season, visit].filter(Boolean).join(" · ");
 
     // Nearby campgrounds (within 80 km)
-    const nearbyCamps = (campgroundCache ?? []).filter((c) => {
+    const nearbyCamps = (campgroundCache?.features ?? []).filter((c) => {
       if (!Array.isArray(c.geometry?.coordinates)) return false;
       const [cLon, cLat] = c.geometry.coordinates;
       return haversineKm(p.coords, [cLon, cLat]) <= 80;
@@ -1158,7 +3825,7 @@ function printTrip() {
     return `<div class="pdf-stop">
       <div class="pdf-stop-num">${i + 1}</div>
       <div class="pdf-stop-body">
-        <div class="pdf-stop-name">${p.name}${p.mustSee === false ? ' <span class="pdf-optional">(optional)</span>' : ""}</div>
+        <div class="pdf-stop-name">${escapeHtml(p.name)}${p.mustSee === false ? ' <span class="pdf-optional">(optional)</span>' : ""}</div>
         ${meta ? `<div class="pdf-stop-meta">${meta}</div>` : ""}
         ${desc ? `<p class="pdf-stop-desc">${desc.slice(0, 220)}${desc.length > 220 ? "…" : ""}</p>` : ""}
         ${npsUrl ? `<a class="pdf-stop-link" href="${npsUrl}">${npsUrl}</a>` : ""}
@@ -1169,25 +3836,32 @@ function printTrip() {
 
   // ── Day-by-day schedule ───────────────────────────────────────────────────
   const dayPlanHtml = plan.map((d) => {
-    let clockMins = d.startMins;
+    const date = zoneDate(d.day);
     const rows = [];
 
-    d.legs.forEach((idx, legPos) => {
-      const leg     = currentLegs[idx];
-      const legMins = Math.round((leg.hours || 0) * 60);
-      const departAt = clockMins;
-      const arriveAt = clockMins + legMins;
-      clockMins = arriveAt + Math.round(tripRules.visitHoursPerPark * 60);
-
-      if (legPos === 0) {
-        rows.push(`<div class="pdf-node pdf-node--start"><span class="pdf-time">${minsToHHMM(departAt)}</span><span class="pdf-place">${leg.fromName}</span></div>`);
+    // Schedule events; a visit shows as the hint on the place it happens at
+    d.events.forEach((e, i) => {
+      if (e.type === "visit") return;
+      if (e.type === "drive") {
+        rows.push(
+          `<div class="pdf-drive"><span class="pdf-drive-arrow">↓</span>${fmt(e.miles)} mi · ${fmt(e.driveMins / 60)} hr drive` +
+          `${e.toward ? ` toward ${escapeHtml(e.toward)}` : ""}${e.crossings.map((c) => ` · ${crossingLabel(c, date)}`).join("")}</div>`
+        );
+        return;
       }
-      rows.push(`<div class="pdf-drive"><span class="pdf-drive-arrow">↓</span>${fmt(leg.miles)} mi · ${fmt(leg.hours)} hr drive</div>`);
+
+      const visit = d.events[i + 1]?.type === "visit" ? d.events[i + 1] : null;
+      const hint = e.type === "overnight" ? overnightLabel(e.node)
+        : e.type === "break" ? e.location.name
+        : e.stayDays > 0 ? `${e.stayDays}-night stay`
+        : visit?.allDay ? "All day here"
+        : visit ? `~${hoursToLabel((visit.end - visit.start) / 60)} visit` : "";
+      const mod = { start: " pdf-node--start", overnight: " pdf-node--overnight", break: " pdf-node--break" }[e.type] ?? "";
       rows.push(
-        `<div class="pdf-node">` +
-        `<span class="pdf-time">${minsToHHMM(arriveAt)}</span>` +
-        `<span class="pdf-place">${leg.toName}</span>` +
-        `<span class="pdf-visit-hint">~${tripRules.visitHoursPerPark}hr visit</span>` +
+        `<div class="pdf-node${mod}">` +
+        `<span class="pdf-time">${clockLabel(e.start, e.zone, date)}</span>` +
+        `<span class="pdf-place">${e.type === "break" ? breakLabel(e) : escapeHtml(e.location.name)}</span>` +
+        `<span class="pdf-visit-hint">${escapeHtml(hint)}</span>` +
         `</div>`
       );
     });
@@ -1195,8 +3869,8 @@ function printTrip() {
     return `
       <div class="pdf-day">
         <div class="pdf-day-header">
-          <span class="pdf-day-label">Day ${d.day}</span>
-          <span class="pdf-day-meta">${fmt(d.miles)} mi · ${fmt(d.driveHours)} hr drive · ${minsToHHMM(d.startMins)}–${minsToHHMM(d.endMins)}</span>
+          <span class="pdf-day-label">${tripDayLabel(d.day)}</span>
+          <span class="pdf-day-meta">${d.stay ? "No driving" : `${fmt(d.miles)} mi · ${fmt(d.driveHours)} hr drive`} · ${dayClockRange(d)}${d.sun ? ` · ${d.sun.sunset > d.sun.sunrise ? `sun ${minsToHHMM(d.sun.sunrise)}–${minsToHHMM(d.sun.sunset)}` : "no daylight"}` : ""}</span>
         </div>
         <div class="pdf-timeline">${rows.join("")}</div>
       </div>`;
@@ -1206,13 +3880,42 @@ function printTrip() {
   const rulesHtml = `
     <div class="pdf-rules-grid">
       <div><span class="pdf-rule-label">Drive hrs/day:</span> ${tripRules.maxDriveHoursPerDay}</div>
-      <div><span class="pdf-rule-label">Wake / Sleep:</span> ${tripRules.wakeHHMM}–${tripRules.sleepHHMM}</div>
+      <div><span class="pdf-rule-label">Wake / Sleep:</span> ${tripRules.wakeHHMM}–${tripRules.sleepHHMM}${tripRules.daylightOnly ? " (daylight only)" : ""}</div>
+      <div><span class="pdf-rule-label">Breaks:</span> ${breakRulesLabel()}</div>
       <div><span class="pdf-rule-label">Speed:</span> ${tripRules.speedMph} mph</div>
-      <div><span class="pdf-rule-label">Visit hrs/park:</span> ${tripRules.visitHoursPerPark}</div>
-      <div><span class="pdf-rule-label">Round trip:</span> ${document.getElementById("roundtrip")?.checked ? "Yes" : "No"}</div>
-      ${tripRules.travelMonth ? `<div><span class="pdf-rule-label">Travel month:</span> ${["","Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"][tripRules.travelMonth]}</div>` : ""}
+      <div><span class="pdf-rule-label">Default visit hrs:</span> ${tripRules.visitHoursPerPark}</div>
+      <div><span class="pdf-rule-label">Round trip:</span> ${isRoundTrip() ? "Yes" : "No"}</div>
+      ${originPoint ? `<div><span class="pdf-rule-label">Start:</span> ${escapeHtml(originPoint.label)}</div>` : ""}
+      ${destinationPoint ? `<div><span class="pdf-rule-label">End:</span> ${escapeHtml(destinationPoint.label)}</div>` : ""}
+      ${tripDayDate(1) ? `<div><span class="pdf-rule-label">Start date:</span> ${formatTripDate(tripDayDate(1))}, ${tripDayDate(1).getFullYear()}</div>` : ""}
+      ${tripRules.travelMonth && !tripDayDate(1) ? `<div><span class="pdf-rule-label">Travel month:</span> ${["","Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"][tripRules.travelMonth]}</div>` : ""}
     </div>`;
 
+  // ── Budget ────────────────────────────────────────────────────────────────
+  const budget = tripBudget();
+  const budgetHtml = plan.length ? `
+    <section class="pdf-section">
+      <h2>Trip Budget</h2>
+      <div class="pdf-summary-grid">
+        <div class="pdf-stat"><div class="pdf-stat__label">Total</div><div class="pdf-stat__value">${fmtUsd(budget.total)}</div></div>
+        <div class="pdf-stat"><div class="pdf-stat__label">Fuel · ${fmt(budget.gallons, 0)} gal</div><div class="pdf-stat__value">${fmtUsd(budget.fuel)}</div></div>
+        <div class="pdf-stat"><div class="pdf-stat__label">Entrance · ${budget.parks.length} parks</div><div class="pdf-stat__value">${fmtUsd(budget.entrance)}</div></div>
+        <div class="pdf-stat"><div class="pdf-stat__label">Lodging · ${budget.nights} nights</div><div class="pdf-stat__value">${fmtUsd(budget.lodging)}</div></div>
+      </div>
+      <table class="pdf-budget">
+        <thead><tr><th>Day</th><th>Miles</th><th>Fuel</th><th>Entrance</th><th>Lodging</th></tr></thead>
+        <tbody>${budget.days.map((d) => `<tr>
+          <td>${tripDayLabel(d.day)}</td>
+          <td>${fmt(d.miles, 0)}</td>
+          <td>${fmtUsd(d.fuel)}</td>
+          <td>${d.entrance ? fmtUsd(d.entrance) : ""}</td>
+          <td>${d.lodgingName ? `${fmtUsd(d.lodging)} · ${d.lodgingName}` : ""}</td>
+        </tr>`).join("")}</tbody>
+      </table>
+      <p class="pdf-budget-note">${passLabel(budget)}.</p>
+      <p class="pdf-budget-note">${tripRules.vehicleMpg} mpg at $${fmt(tripRules.fuelPrice, 2)}/gal · ${tripRules.travellers} traveller${tripRules.travellers === 1 ? "" : "s"}${budgetNotes(budget).map((n) => ` · ${n}`).join("")}</p>
+    </section>` : "";
+
   // Airport suggestion text
   const airportEl  = document.getElementById("airport-suggestion-content");
   const airportTxt = airportEl?.innerText?.trim() ?? "";
@@ -1266,11 +3969,17 @@ h2{font-size:14px;font-weight:700;text-transform:uppercase;letter-spacing:.08em;
 .pdf-timeline{display:flex;flex-direction:column;gap:1px;padding-left:16px;border-left:2px solid #e8f5e9}
 .pdf-node{display:flex;align-items:baseline;gap:10px;padding:3px 0}
 .pdf-node--start .pdf-time{color:#aaa}
+.pdf-node--overnight .pdf-place{font-style:italic}
+.pdf-node--break .pdf-place{font-weight:400;color:#666}
 .pdf-time{font-size:11px;font-weight:700;font-variant-numeric:tabular-nums;min-width:38px;text-align:right;color:#2d6a4f;flex-shrink:0}
 .pdf-place{font-size:13px;font-weight:600;flex:1}
 .pdf-visit-hint{font-size:10px;color:#aaa;white-space:nowrap}
 .pdf-drive{font-size:11px;color:#aaa;padding:4px 0 4px 48px;font-style:italic}
 .pdf-drive-arrow{margin-right:6px;color:#c8e6c9}
+.pdf-budget{width:100%;border-collapse:collapse;font-size:12px;margin-top:10px}
+.pdf-budget th{text-align:left;font-size:10px;text-transform:uppercase;letter-spacing:.05em;color:#999;border-bottom:1px solid #e0e0e0;padding:4px 6px}
+.pdf-budget td{padding:3px 6px;border-bottom:1px solid #f0f0f0;color:#444}
+.pdf-budget-note{font-size:11px;color:#888;margin-top:6px}
 .pdf-airports{font-family:inherit;white-space:pre-wrap;font-size:12px;color:#444;background:#f9f9f9;padding:12px;border-radius:6px;border:1px solid #e0e0e0}
 .pdf-footer{margin-top:40px;border-top:1px solid #eee;padding-top:14px;font-size:10px;color:#bbb;text-align:center}
 @media print{
@@ -1311,6 +4020,8 @@ ${airportHtml}
   ${dayPlanHtml || "<p style='color:#888;font-size:13px'>Generate a day plan in the Day-by-Day tab first, then re-open Print.</p>"}
 </section>
 
+${budgetHtml}
+
 <div class="pdf-footer">National Parks Planner · national-parks-planner.github.io · Printed ${builtAt}</div>
 </body>
 </html>`;
@@ -1429,7 +4140,7 @@ function wizardBuildTrip() {
 
   // Clear any existing route
   selectedParks.forEach((p) => {
-    if (p.source !== "stamp") map?.setFeatureState({ source: "parks", id: p.id }, { selected: false });
+    if (typeof p.id === "number") map?.setFeatureState({ source: "parks", id: p.id }, { selected: false });
   });
   selectedParks = [];
   currentLegs   = [];
@@ -1459,43 +4170,430 @@ function wizardBuildTrip() {
   if (selectedParks.length >= 3 && optimizeToggle) {
     optimizeToggle.checked = true;
   }
-}
+}
+
+function initWizard() {
+  document.getElementById("open-wizard")?.addEventListener("click", openWizard);
+  document.getElementById("wizard-close")?.addEventListener("click", closeWizard);
+  document.getElementById("wizard-cancel")?.addEventListener("click", closeWizard);
+
+  // Step 1 → 2
+  document.getElementById("wizard-next-1")?.addEventListener("click", () => {
+    if (!wizardState.regionId) return;
+    wizardState.days = Number(document.getElementById("wizard-days")?.value || 7);
+    showWizardStep(2);
+  });
+
+  // Step 2 → 3
+  document.getElementById("wizard-next-2")?.addEventListener("click", () => {
+    wizardState.days = Number(document.getElementById("wizard-days")?.value || 7);
+    renderWizardParks();
+    showWizardStep(3);
+  });
+
+  // Step 3 ← 2
+  document.getElementById("wizard-back-2")?.addEventListener("click", () => showWizardStep(1));
+  document.getElementById("wizard-back-3")?.addEventListener("click", () => showWizardStep(2));
+
+  // Build
+  document.getElementById("wizard-build")?.addEventListener("click", wizardBuildTrip);
+
+  // Close on overlay backdrop click
+  document.getElementById("wizard-overlay")?.addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeWizard();
+  });
+
+  // Close on Escape
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && !document.getElementById("wizard-overlay")?.classList.contains("is-hidden")) {
+      closeWizard();
+    }
+  });
+}
+
+/* ===============================
+   IMPORT (GPX / KML / GeoJSON / CSV)
+================================ */
+// An imported point this close to a park or stamp unit is taken to be it
+const IMPORT_MATCH_MILES = 10;
+// A name match further than this from the point's own location is ignored
+const IMPORT_NAME_MAX_MILES = 100;
+
+let importRows = [];  // review-table rows for the open import dialog
+
+/** Name as a lookup key: lower case, with punctuation and unit designations dropped. */
+function placeKey(name) {
+  return String(name ?? "")
+    .toLowerCase()
+    .replace(/\b(national|state|historical|historic|memorial|monument|park|preserve|recreation|area|seashore|lakeshore|site|np|and|of|the)\b/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/** Park code from an nps.gov URL, e.g. "https://www.nps.gov/zion/index.htm" → "zion". */
+function npsCodeFromUrl(url) {
+  return /nps\.gov\/([a-z]{4})\b/i.exec(url ?? "")?.[1].toLowerCase() ?? null;
+}
+
+/** Imported name with its whitespace collapsed and its length capped (escaped where rendered). */
+function cleanImportName(name) {
+  return String(name ?? "").replace(/\s+/g, " ").trim().slice(0, 120);
+}
+
+/** [lon, lat] if both are given, finite and in range, else null. */
+function importCoords(lon, lat) {
+  if (lon == null || lat == null || String(lon).trim() === "" || String(lat).trim() === "") return null;
+  lon = Number(lon);
+  lat = Number(lat);
+  return Number.isFinite(lon) && Number.isFinite(lat) && Math.abs(lon) <= 180 && Math.abs(lat) <= 90
+    ? [lon, lat]
+    : null;
+}
+
+// ── Parsers ──────────────────────────────────────────────────────────────────
+// Each returns points shaped { name, coords:[lon,lat]|null, code, kind, flags }:
+// `kind` is "origin" / "destination" for a planner file's end points, and
+// `flags` carries a planner file's own stop settings (visit, mustSee, …).
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("The file isn't valid XML");
+  return doc;
+}
+
+const xmlChildText = (el, tag) => el.getElementsByTagName(tag)[0]?.textContent.trim() ?? "";
+
+/** GPX waypoints, or the first route's points when there are none. */
+function parseGpxPoints(text) {
+  const doc = parseXml(text);
+  let pts = [...doc.getElementsByTagName("wpt")];
+  if (!pts.length) pts = [...doc.getElementsByTagName("rtept")];
+  return pts.map((pt) => ({
+    name:   xmlChildText(pt, "name"),
+    coords: importCoords(pt.getAttribute("lon"), pt.getAttribute("lat")),
+    code:   npsCodeFromUrl(pt.getElementsByTagName("link")[0]?.getAttribute("href")),
+    kind:   null
+  }));
+}
+
+/** KML placemarks with a Point (Google My Maps, Google Earth, this app's export). */
+function parseKmlPoints(text) {
+  const doc = parseXml(text);
+  return [...doc.getElementsByTagName("Placemark")]
+    .filter((pm) => pm.getElementsByTagName("Point").length)
+    .map((pm) => {
+      const data = new Map([...pm.getElementsByTagName("Data")].map((d) => [d.getAttribute("name"), xmlChildText(d, "value")]));
+      const [lon, lat] = xmlChildText(pm.getElementsByTagName("Point")[0], "coordinates").split(",");
+      return {
+        name:   xmlChildText(pm, "name"),
+        coords: importCoords(lon, lat),
+        code:   data.get("parkCode") || npsCodeFromUrl(data.get("url") || xmlChildText(pm, "description")),
+        kind:   data.get("kind") ?? null
+      };
+    });
+}
+
+/**
+ * GeoJSON Point / MultiPoint features. A file from exportTripGeoJSON() also
+ * brings back each stop's visit, must-see, locked and day-break settings.
+ */
+function parseGeoJsonPoints(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error("The file isn't valid JSON");
+  }
+  const features = json?.type === "FeatureCollection" ? json.features ?? []
+    : json?.type === "Feature" ? [json]
+    : null;
+  if (!features) throw new Error("The file isn't a GeoJSON feature collection");
+
+  const fromPlanner = !!json.planner;
+  return features.flatMap((f) => {
+    const p = f?.properties ?? {};
+    const geom = f?.geometry;
+    const coords = geom?.type === "Point" ? [geom.coordinates]
+      : geom?.type === "MultiPoint" ? geom.coordinates
+      : [];
+    return coords.map((c) => ({
+      name:   p.name ?? p.title ?? p.Name ?? "",
+      coords: importCoords(c?.[0], c?.[1]),
+      code:   p.parkCode ?? p.code ?? npsCodeFromUrl(p.url),
+      kind:   fromPlanner ? p.kind ?? null : null,
+      flags:  fromPlanner && p.kind === "stop"
+        ? { visit: p.visit ?? undefined, mustSee: p.mustSee, locked: p.locked, dayBreak: p.dayBreak ?? undefined }
+        : null
+    }));
+  });
+}
+
+/** Rows of a CSV file (RFC 4180 quoting), as arrays of trimmed cells. */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(cell.trim()); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell.trim());
+      if (row.some(Boolean)) rows.push(row);
+      row = []; cell = "";
+    } else cell += c;
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+}
+
+/**
+ * CSV with a header row naming the columns: name, lat and lon (or a My Maps
+ * "WKT" POINT column) and/or a park code. A row needs a location or a code.
+ */
+function parseCsvPoints(text) {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ""));
+  const col = (re) => header.findIndex((h) => re.test(h));
+  const nameCol = col(/^(name|title|place|park)$/i);
+  const latCol  = col(/^(lat|latitude)$/i);
+  const lonCol  = col(/^(lon|lng|long|longitude)$/i);
+  const wktCol  = col(/^wkt$/i);
+  const codeCol = col(/^(park ?code|park_code|unit ?code|code)$/i);
+  if (nameCol < 0 && codeCol < 0) throw new Error("The CSV needs a header row with a name or park code column");
+
+  return rows.map((r) => {
+    const wkt = /POINT\s*\(\s*(-?[\d.]+)\s+(-?[\d.]+)/i.exec(r[wktCol] ?? "");
+    return {
+      name:   r[nameCol] ?? "",
+      coords: wkt ? importCoords(wkt[1], wkt[2]) : importCoords(r[lonCol], r[latCol]),
+      code:   r[codeCol] || null,
+      kind:   null
+    };
+  });
+}
+
+/** Points from an import file, picking the parser by extension. */
+function parseImportFile(fileName, text) {
+  const ext = fileName.split(".").pop().toLowerCase();
+  if (ext === "gpx") return parseGpxPoints(text);
+  if (ext === "kml") return parseKmlPoints(text);
+  if (ext === "geojson" || ext === "json") return parseGeoJsonPoints(text);
+  if (ext === "csv") return parseCsvPoints(text);
+  throw new Error(`Can't import .${ext} files — use GPX, KML, GeoJSON or CSV`);
+}
+
+// ── Matching ─────────────────────────────────────────────────────────────────
+/**
+ * PARKS_DATA parks and the NPS_STAMPS units that aren't also parks, as
+ * selectedParks items, indexed by park code and by placeKey() of the name.
+ */
+function importIndex() {
+  const units = [
+    ...PARKS_DATA.map((p, idx) => ({
+      code: p.parkCode,
+      stop: { id: idx, name: p.name, coords: [p.lon, p.lat], locked: false, source: "park" }
+    })),
+    ...(window.NPS_STAMPS ?? [])
+      .filter((s) => !PARKS_DATA.some((p) => p.parkCode === s.parkCode))
+      .map((s) => ({
+        code: s.parkCode,
+        stop: { id: `stamp:${s.parkCode}`, name: s.name, coords: [s.lon, s.lat], locked: false, source: "stamp" }
+      }))
+  ];
+  const byCode = new Map();
+  const byKey  = new Map();
+  units.forEach((u) => {
+    if (u.code && !byCode.has(u.code)) byCode.set(u.code, u);
+    const key = placeKey(u.stop.name);
+    if (key && !byKey.has(key)) byKey.set(key, u);
+  });
+  return { units, byCode, byKey };
+}
+
+/** The unit an imported point refers to — by park code, then name, then proximity — or null. */
+function matchImportPoint(point, index) {
+  const code = String(point.code ?? "").toLowerCase();
+  if (index.byCode.has(code)) return { unit: index.byCode.get(code), how: "park code" };
+
+  // A bare four-letter name may itself be a park code
+  const nameCode = point.name.trim().toLowerCase();
+  if (/^[a-z]{4}$/.test(nameCode) && index.byCode.has(nameCode)) return { unit: index.byCode.get(nameCode), how: "park code" };
+
+  const named = index.byKey.get(placeKey(point.name));
+  if (named && (!point.coords || milesBetween(point.coords, named.stop.coords) <= IMPORT_NAME_MAX_MILES)) {
+    return { unit: named, how: "name" };
+  }
+
+  if (!point.coords) return null;
+  let best = null;
+  let bestMiles = IMPORT_MATCH_MILES;
+  for (const u of index.units) {
+    const miles = milesBetween(point.coords, u.stop.coords);
+    if (miles <= bestMiles) { best = u; bestMiles = miles; }
+  }
+  return best ? { unit: best, how: `${fmt(bestMiles)} mi away` } : null;
+}
+
+/**
+ * Review rows for parsed points: the stop each would add (a matched park or
+ * stamp unit, else a custom stop at the point), whether it's ticked, and why
+ * not. Stops already in the trip or repeated in the file start unticked;
+ * points with neither a match nor a location can't be added.
+ */
+function importReviewRows(points) {
+  const index = importIndex();
+  const seen  = new Set(selectedParks.map((p) => p.id));
+
+  return points.map((point) => {
+    const name = cleanImportName(point.name);
+
+    if (point.kind === "origin" || point.kind === "destination") {
+      const current = point.kind === "origin" ? originPoint : destinationPoint;
+      return {
+        name, kind: point.kind,
+        stop: point.coords ? { name, coords: point.coords } : null,
+        how: point.kind === "origin" ? "trip origin" : "trip destination",
+        include: !!point.coords && !current,
+        note: current ? `Replaces ${current.label}` : ""
+      };
+    }
+
+    const match = matchImportPoint({ ...point, name }, index);
+    const stop = match
+      ? { ...match.unit.stop }
+      : point.coords
+        ? { id: `custom:${point.coords[0].toFixed(5)}_${point.coords[1].toFixed(5)}`, name: name || "Imported place", coords: point.coords, locked: false, source: "custom" }
+        : null;
+    if (stop && point.flags) {
+      Object.entries(point.flags).forEach(([k, v]) => { if (v !== undefined) stop[k] = v; });
+    }
+
+    const duplicate = stop && seen.has(stop.id);
+    const already   = duplicate && selectedParks.some((p) => p.id === stop.id);
+    if (stop) seen.add(stop.id);
+    return {
+      name, kind: "stop", stop,
+      how: match?.how ?? (stop ? "no match" : ""),
+      include: !!stop && !duplicate,
+      note: !stop ? "No location or known park code" : already ? "Already in your trip" : duplicate ? "Repeated in the file" : ""
+    };
+  });
+}
+
+// ── Dialog ───────────────────────────────────────────────────────────────────
+function openImport() {
+  importRows = [];
+  const fileEl = document.getElementById("import-file");
+  if (fileEl) fileEl.value = "";
+  renderImportReview();
+  document.getElementById("import-overlay")?.classList.remove("is-hidden");
+  document.body.classList.add("wizard-open");
+}
+
+function closeImport() {
+  document.getElementById("import-overlay")?.classList.add("is-hidden");
+  document.body.classList.remove("wizard-open");
+}
+
+async function handleImportFile(file) {
+  if (!file) return;
+  try {
+    const points = parseImportFile(file.name, await file.text());
+    if (!points.length) throw new Error("No points found in the file");
+    importRows = importReviewRows(points);
+  } catch (err) {
+    importRows = [];
+    showToast(`⚠️ ${err.message}`);
+  }
+  renderImportReview();
+}
+
+function renderImportReview() {
+  const el     = document.getElementById("import-review");
+  const addBtn = document.getElementById("import-add");
+  const count  = importRows.filter((r) => r.include).length;
+  if (addBtn) {
+    addBtn.disabled = !count;
+    addBtn.textContent = count ? `Add ${count} ${count === 1 ? "stop" : "stops"}` : "Add stops";
+  }
+  if (!el) return;
+  if (!importRows.length) {
+    el.innerHTML = `<div class="empty">Choose a file to review its places before they're added.</div>`;
+    return;
+  }
 
-function initWizard() {
-  document.getElementById("open-wizard")?.addEventListener("click", openWizard);
-  document.getElementById("wizard-close")?.addEventListener("click", closeWizard);
-  document.getElementById("wizard-cancel")?.addEventListener("click", closeWizard);
+  const matched = importRows.filter((r) => r.stop && (r.stop.source === "park" || r.stop.source === "stamp")).length;
+  const custom  = importRows.filter((r) => r.stop?.source === "custom").length;
+  const kindLabel = (r) =>
+    r.kind !== "stop" ? (r.kind === "origin" ? "Origin" : "Destination")
+      : r.stop?.source === "custom" ? "Custom stop"
+      : r.stop?.source === "stamp" ? "Stamp unit"
+      : r.stop ? "Park" : "—";
 
-  // Step 1 → 2
-  document.getElementById("wizard-next-1")?.addEventListener("click", () => {
-    if (!wizardState.regionId) return;
-    wizardState.days = Number(document.getElementById("wizard-days")?.value || 7);
-    showWizardStep(2);
+  el.innerHTML = `
+    <div class="import-review__summary subtle">${importRows.length} places · ${matched} matched · ${custom} custom</div>
+    <div class="import-review__scroll">
+      <table class="import-table">
+        <thead><tr><th></th><th>In the file</th><th>Adds</th><th>Matched by</th></tr></thead>
+        <tbody>${importRows.map((r, idx) => `
+          <tr class="${r.stop ? "" : "is-disabled"}">
+            <td><input type="checkbox" class="import-table__include" data-idx="${idx}" aria-label="Import ${escapeHtml(r.name || "this place")}"${r.include ? " checked" : ""}${r.stop ? "" : " disabled"}></td>
+            <td>${r.name ? escapeHtml(r.name) : "<em>unnamed</em>"}</td>
+            <td>${r.stop ? escapeHtml(r.stop.name) : "—"} <span class="stop-badge stop-badge--${r.stop?.source === "custom" ? "custom" : "unit"}">${kindLabel(r)}</span>${r.note ? `<div class="import-table__note">${escapeHtml(r.note)}</div>` : ""}</td>
+            <td>${r.how}</td>
+          </tr>`).join("")}
+        </tbody>
+      </table>
+    </div>`;
+
+  el.querySelectorAll(".import-table__include").forEach((box) => {
+    box.addEventListener("change", () => {
+      importRows[Number(box.dataset.idx)].include = box.checked;
+      renderImportReview();
+    });
   });
+}
 
-  // Step 2 → 3
-  document.getElementById("wizard-next-2")?.addEventListener("click", () => {
-    wizardState.days = Number(document.getElementById("wizard-days")?.value || 7);
-    renderWizardParks();
-    showWizardStep(3);
+/** Append the ticked stops to the trip (and set a planner file's origin / destination). */
+function applyImport() {
+  const rows = importRows.filter((r) => r.include && r.stop);
+  if (!rows.length) return;
+
+  rows.forEach((r) => {
+    if (r.kind === "origin")      return setOriginMarker(r.stop.coords, r.stop.name);
+    if (r.kind === "destination") return setDestinationMarker(r.stop.coords, r.stop.name);
+    selectedParks.push(r.stop);
+    if (typeof r.stop.id === "number") map?.setFeatureState({ source: "parks", id: r.stop.id }, { selected: true });
   });
 
-  // Step 3 ← 2
-  document.getElementById("wizard-back-2")?.addEventListener("click", () => showWizardStep(1));
-  document.getElementById("wizard-back-3")?.addEventListener("click", () => showWizardStep(2));
+  closeImport();
+  updateMarkerNumbers();
+  updateStampSelectedLayer();
+  renderStopsList();
+  renderStatus();
+  updateActionAvailability();
+  debounceRouteUpdate(120);
+  showToast(`📥 Imported ${rows.length} ${rows.length === 1 ? "place" : "places"}`);
+}
 
-  // Build
-  document.getElementById("wizard-build")?.addEventListener("click", wizardBuildTrip);
+function initImport() {
+  document.getElementById("open-import")?.addEventListener("click", openImport);
+  document.getElementById("import-close")?.addEventListener("click", closeImport);
+  document.getElementById("import-cancel")?.addEventListener("click", closeImport);
+  document.getElementById("import-add")?.addEventListener("click", applyImport);
+  document.getElementById("import-file")?.addEventListener("change", (e) => handleImportFile(e.target.files?.[0]));
 
-  // Close on overlay backdrop click
-  document.getElementById("wizard-overlay")?.addEventListener("click", (e) => {
-    if (e.target === e.currentTarget) closeWizard();
+  document.getElementById("import-overlay")?.addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeImport();
   });
-
-  // Close on Escape
   document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape" && !document.getElementById("wizard-overlay")?.classList.contains("is-hidden")) {
-      closeWizard();
+    if (e.key === "Escape" && !document.getElementById("import-overlay")?.classList.contains("is-hidden")) {
+      closeImport();
     }
   });
 }
@@ -1620,6 +4718,12 @@ async function loadCampgroundData() {
     if (countEl) countEl.textContent = `(${geojson.features?.length ?? 0})`;
 
     campgroundLoading = false;
+
+    // Overnight stops and lodging prices come from campgrounds; refresh them
+    if (dayPlan.length) {
+      const { plan, droppedOptional } = generateDayPlan();
+      renderDayPlan(plan, droppedOptional);
+    }
     return campgroundCache;
   } catch (err) {
     console.warn("[campgrounds] fetch failed:", err);
@@ -1674,15 +4778,45 @@ function renderStopsList() {
     return;
   }
 
+  const visitDates = stopVisitDates();
+
+  // Visit-length choices; a value that isn't a preset shows in the
+  // "Custom…" option, which opens the hours / days input
+  const visitOptions = (stop) => {
+    const current = visitEditingId === stop.id ? "custom" : visitPresetKey(stop.visit);
+    const options = VISIT_PRESETS.map((p) => {
+      const label = p.key === "" ? `${p.label} (${hoursToLabel(tripRules.visitHoursPerPark || 0)})` : p.label;
+      return `<option value="${p.key}"${p.key === current ? " selected" : ""}>${label}</option>`;
+    });
+    const customLabel = current === null ? visitLabel(stop.visit) : "Custom…";
+    options.push(`<option value="custom"${current === null || current === "custom" ? " selected" : ""}>${customLabel}</option>`);
+    return options.join("");
+  };
+
+  // Free visit length, shown while "Custom…" is picked
+  const visitInput = (stop, idx) => {
+    if (visitEditingId !== stop.id && visitPresetKey(stop.visit) !== null) return "";
+    const { mins, days } = stopVisit(stop);
+    const unit = days > 0 ? "days" : "hours";
+    return `
+      <span class="stop-row__visit-custom">
+        <input type="number" class="stop-row__visit-amount" data-idx="${idx}" aria-label="Custom time at ${escapeHtml(stop.name)}"
+          min="${unit === "days" ? 1 : 0.25}" max="${unit === "days" ? 14 : 24}" step="${unit === "days" ? 1 : 0.25}" value="${days > 0 ? days : +(mins / 60).toFixed(2)}">
+        <select class="stop-row__visit-unit" data-idx="${idx}" aria-label="Unit">
+          <option value="hours"${unit === "hours" ? " selected" : ""}>hours</option>
+          <option value="days"${unit === "days" ? " selected" : ""}>days · nights</option>
+        </select>
+      </span>`;
+  };
+
   selectedParks.forEach((stop, idx) => {
     const park = stop.source !== "stamp" ? PARKS_DATA[stop.id] : null;
-    const isClosed = park && tripRules.travelMonth
-      ? isParkClosedInMonth(park.parkCode, tripRules.travelMonth)
-      : false;
+    const isClosed = park ? isParkClosedInMonth(park.parkCode, stopVisitMonth(stop.id, visitDates)) : false;
     const isMustSee = stop.mustSee !== false;
+    const isSkipped = budgetSkippedIds.has(stop.id);
 
     const row = document.createElement("div");
-    row.className = "stop-row";
+    row.className = `stop-row${isSkipped ? " is-skipped" : ""}`;
     row.dataset.idx = idx;
     row.draggable = true;
 
@@ -1690,13 +4824,14 @@ function renderStopsList() {
       <div class="stop-row__drag-handle" aria-hidden="true" title="Drag to reorder">⠿</div>
       <div class="stop-row__num">${idx + 1}</div>
       <div class="stop-row__info">
-        <div class="stop-row__name">${stop.name}${isClosed ? ` <span class="stop-badge stop-badge--closed" title="May be closed or limited access in the selected month">seasonal</span>` : ""}</div>
+        <div class="stop-row__name">${escapeHtml(stop.name)}${isClosed ? ` <span class="stop-badge stop-badge--closed" title="May be closed or limited access in the month you visit">seasonal</span>` : ""}${isSkipped ? ` <span class="stop-badge stop-badge--skipped" title="Left out to fit your trip days">skipped</span>` : ""}${stop.source === "custom" ? ` <span class="stop-badge stop-badge--custom" title="Imported place that isn't an NPS unit">custom</span>` : ""}</div>
         <label class="stop-row__must-see-label">
           <input type="checkbox" class="stop-row__must-see" data-idx="${idx}"${isMustSee ? " checked" : ""}>
           <span class="stop-row__must-see-text">Must see</span>
         </label>
+        <select class="stop-row__visit" data-idx="${idx}" aria-label="Time at ${escapeHtml(stop.name)}" title="How long to spend here">${visitOptions(stop)}</select>${visitInput(stop, idx)}
       </div>
-      <button class="stop-row__remove" data-idx="${idx}" aria-label="Remove ${stop.name} from trip" title="Remove stop">×</button>
+      <button class="stop-row__remove" data-idx="${idx}" aria-label="Remove ${escapeHtml(stop.name)} from trip" title="Remove stop">×</button>
     `;
 
     container.appendChild(row);
@@ -1778,7 +4913,7 @@ function renderStopsList() {
       const idx = Number(e.currentTarget.dataset.idx);
       const stop = selectedParks[idx];
       if (!stop) return;
-      if (stop.source !== "stamp") {
+      if (typeof stop.id === "number") {
         map?.setFeatureState({ source: "parks", id: stop.id }, { selected: false });
       }
       selectedParks.splice(idx, 1);
@@ -1797,6 +4932,57 @@ function renderStopsList() {
       if (selectedParks[idx]) {
         selectedParks[idx].mustSee = e.currentTarget.checked;
       }
+      refitDayBudget();
+    });
+  });
+
+  // ── Visit length ───────────────────────────────────────────────────────────
+  const visitChanged = () => {
+    saveTripState();
+    if (optimizeToggle?.checked && tripRules.optimizeObjective === "days") debounceRouteUpdate(120);
+    else refitDayBudget();
+    renderViolations(computeViolations(currentLegs));
+    if (dayPlan.length) { const { plan, droppedOptional } = generateDayPlan(); renderDayPlan(plan, droppedOptional); }
+  };
+
+  container.querySelectorAll(".stop-row__visit").forEach((sel) => {
+    sel.addEventListener("change", (e) => {
+      const idx  = Number(e.currentTarget.dataset.idx);
+      const stop = selectedParks[idx];
+      if (!stop) return;
+
+      if (e.currentTarget.value === "custom") {
+        // Open the input at the stop's current length; nothing changes until it's edited
+        visitEditingId = stop.id;
+        renderStopsList();
+        container.querySelector(`.stop-row__visit-amount[data-idx="${idx}"]`)?.focus();
+        return;
+      }
+
+      const preset = VISIT_PRESETS.find((p) => p.key === e.currentTarget.value);
+      if (!preset) return;
+      visitEditingId = null;
+      if (preset.visit) stop.visit = { ...preset.visit };
+      else delete stop.visit;
+      renderStopsList();
+      visitChanged();
+    });
+  });
+
+  container.querySelectorAll(".stop-row__visit-amount, .stop-row__visit-unit").forEach((el) => {
+    el.addEventListener("change", (e) => {
+      const idx    = Number(e.currentTarget.dataset.idx);
+      const stop   = selectedParks[idx];
+      const amount = Number(container.querySelector(`.stop-row__visit-amount[data-idx="${idx}"]`)?.value);
+      const unit   = container.querySelector(`.stop-row__visit-unit[data-idx="${idx}"]`)?.value;
+      if (!stop || !(amount > 0)) return;
+
+      stop.visit = unit === "days"
+        ? { days: Math.min(14, Math.max(1, Math.round(amount))) }
+        : { hours: Math.min(24, Math.round(amount * 4) / 4) || 0.25 };
+      visitEditingId = stop.id;
+      renderStopsList();
+      visitChanged();
     });
   });
 
@@ -1847,19 +5033,86 @@ function clearOriginMarker() {
   saveTripState();
 }
 
+// ── Open-jaw destination ─────────────────────────────────────────────────────
+// An optional fixed end point (e.g. the fly-out airport). When set the route
+// always finishes there, and round trip is ignored.
+
+function renderDestinationDisplay() {
+  const labelEl  = document.getElementById("destination-label");
+  const clearBtn = document.getElementById("destination-clear");
+  if (!labelEl) return;
+  if (destinationPoint) {
+    labelEl.textContent = destinationPoint.label;
+    labelEl.className   = "origin-label origin-label--set";
+    clearBtn?.classList.remove("is-hidden");
+  } else {
+    labelEl.textContent = "Same as route end";
+    labelEl.className   = "origin-label origin-label--none";
+    clearBtn?.classList.add("is-hidden");
+  }
+
+  if (roundTripToggle) {
+    roundTripToggle.disabled = !!destinationPoint;
+    roundTripToggle.title = destinationPoint ? "Clear the destination to plan a round trip" : "";
+  }
+  renderStatus();
+}
+
+function addDestinationMarker() {
+  if (!map || !destinationPoint) return;
+  const el = document.createElement("div");
+  el.className = "destination-marker";
+  destinationMarker = new mapboxgl.Marker({ element: el })
+    .setLngLat(destinationPoint.lngLat)
+    .addTo(map);
+}
+
+function setDestinationMarker(lngLat, label) {
+  destinationMarker?.remove();
+  destinationMarker = null;
+  destinationPoint = { lngLat, label };
+  addDestinationMarker();
+  renderDestinationDisplay();
+  saveTripState();
+}
+
+function clearDestinationMarker() {
+  destinationMarker?.remove();
+  destinationMarker = null;
+  destinationPoint  = null;
+  renderDestinationDisplay();
+  saveTripState();
+}
+
+/** Destination as a virtual final stop, or null when none is set. */
+function destinationStop() {
+  if (!destinationPoint) return null;
+  return { id: "__destination__", name: "Destination", coords: destinationPoint.lngLat, locked: true, source: "destination" };
+}
+
+/** Round trip only applies when no separate destination is set. */
+function isRoundTrip() {
+  return !!roundTripToggle?.checked && !destinationPoint;
+}
+
+/**
+ * Full waypoint list for routing: the origin (if set) as a virtual first stop,
+ * then the trip stops, then the destination (if set) as a fixed last stop.
+ * Neither endpoint is stored in selectedParks.
+ */
+function routeStops(stops) {
+  const end = destinationStop();
+  return [
+    ...(originPoint ? [{ id: "__origin__", name: "Origin", coords: originPoint.lngLat, locked: true, source: "origin" }] : []),
+    ...stops,
+    ...(end ? [end] : [])
+  ];
+}
+
 async function geocodeOriginQuery(query) {
   if (!query.trim()) return [];
-  const url =
-    `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json` +
-    `?types=place,address,poi&country=us&access_token=${mapboxgl.accessToken}`;
   try {
-    const res  = await fetch(url);
-    if (!res.ok) return [];
-    const json = await res.json();
-    return (json.features ?? []).slice(0, 5).map((f) => ({
-      label:  f.place_name,
-      lngLat: f.geometry.coordinates
-    }));
+    return await ROUTING.geocode(query);
   } catch { return []; }
 }
 
@@ -1872,7 +5125,7 @@ function clearRoute() {
   }
 
   selectedParks.forEach((p) => {
-    if (p.source !== "stamp") {
+    if (typeof p.id === "number") {
       map?.setFeatureState({ source: "parks", id: p.id }, { selected: false });
     }
   });
@@ -1887,11 +5140,13 @@ function clearRoute() {
   renderSummary([]);
   renderViolations([]);
   renderOptimizeSummary(null);
+  clearRouteAlternatives();
   renderStatus();
   renderStopsList();        // → also calls saveTripState() (empty state)
   updateMarkerNumbers();
   updateActionAvailability();
   clearOriginMarker();      // also clears origin from localStorage via saveTripState
+  clearDestinationMarker();
 
   setGeoJSON("route", emptyLineStringFeature());
   setGeoJSON("route-highlight", emptyLineStringFeature());
@@ -1912,18 +5167,31 @@ function saveTripState() {
     const state = {
       selectedParks,
       originPoint,
+      destinationPoint,
       tripRules: {
         maxDriveHoursPerDay: tripRules.maxDriveHoursPerDay,
         maxSingleLegHours:   tripRules.maxSingleLegHours,
-        breakMinutesPerDay:  tripRules.breakMinutesPerDay,
+        restEveryHours:      tripRules.restEveryHours,
+        restMinutes:         tripRules.restMinutes,
+        lunchMinutes:        tripRules.lunchMinutes,
+        lunchFromHHMM:       tripRules.lunchFromHHMM,
+        lunchToHHMM:         tripRules.lunchToHHMM,
         startTimeHHMM:       tripRules.startTimeHHMM,
         wakeHHMM:            tripRules.wakeHHMM,
         sleepHHMM:           tripRules.sleepHHMM,
+        daylightOnly:        tripRules.daylightOnly,
         speedMph:            tripRules.speedMph,
         noBacktracking:      tripRules.noBacktracking,
         travelMonth:         tripRules.travelMonth,
+        startDate:           tripRules.startDate,
         filterClosedParks:   tripRules.filterClosedParks,
         visitHoursPerPark:   tripRules.visitHoursPerPark,
+        optimizeObjective:   tripRules.optimizeObjective,
+        tripDays:            tripRules.tripDays,
+        vehicleMpg:          tripRules.vehicleMpg,
+        fuelPrice:           tripRules.fuelPrice,
+        travellers:          tripRules.travellers,
+        avoid:               { ...tripRules.avoid },
       },
     };
     localStorage.setItem(TRIP_STORAGE_KEY, JSON.stringify(state));
@@ -1954,7 +5222,9 @@ function loadTripState() {
 
   // ── Restore trip rules ───────────────────────────────────────────────────
   if (state.tripRules) {
-    Object.assign(tripRules, state.tripRules);
+    Object.assign(tripRules, state.tripRules, {
+      avoid: { ...tripRules.avoid, ...state.tripRules.avoid }
+    });
     // Sync back to UI inputs
     const setVal = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
     const setChk = (id, val) => { const el = document.getElementById(id); if (el) el.checked = !!val; };
@@ -1963,12 +5233,26 @@ function loadTripState() {
     setVal("sleep-time",       tripRules.sleepHHMM);
     setVal("max-hours",        tripRules.maxDriveHoursPerDay);
     setVal("max-leg-hours",    tripRules.maxSingleLegHours);
-    setVal("break-mins",       tripRules.breakMinutesPerDay);
+    setVal("rest-every",       tripRules.restEveryHours);
+    setVal("rest-mins",        tripRules.restMinutes);
+    setVal("lunch-mins",       tripRules.lunchMinutes);
+    setVal("lunch-from",       tripRules.lunchFromHHMM);
+    setVal("lunch-to",         tripRules.lunchToHHMM);
     setVal("speed-mph",        tripRules.speedMph);
     setVal("travel-month",     tripRules.travelMonth);
+    setVal("trip-start-date",  tripRules.startDate || "");
+    syncTravelMonthInput();
     setVal("visit-hours",      tripRules.visitHoursPerPark);
+    setVal("optimize-objective", tripRules.optimizeObjective);
+    setVal("trip-days",        tripRules.tripDays || "");
+    setVal("budget-mpg",       tripRules.vehicleMpg);
+    setVal("budget-fuel-price", tripRules.fuelPrice);
+    setVal("budget-travellers", tripRules.travellers);
     setChk("no-backtracking",  tripRules.noBacktracking);
+    setChk("daylight-only",    tripRules.daylightOnly);
     setChk("filter-closed",    tripRules.filterClosedParks);
+    Object.keys(AVOIDANCE_LABELS).forEach((k) => setChk(`avoid-${k}`, tripRules.avoid?.[k]));
+    if (activeAvoidances().length) loadDriveMatrix();
   }
 
   // ── Restore origin ───────────────────────────────────────────────────────
@@ -1983,6 +5267,13 @@ function loadTripState() {
     renderOriginDisplay();
   }
 
+  // ── Restore destination ──────────────────────────────────────────────────
+  if (state.destinationPoint?.lngLat) {
+    destinationPoint = state.destinationPoint;
+    addDestinationMarker();
+    renderDestinationDisplay();
+  }
+
   // ── Restore stops ────────────────────────────────────────────────────────
   if (Array.isArray(state.selectedParks) && state.selectedParks.length) {
     selectedParks = state.selectedParks;
@@ -2000,6 +5291,10 @@ function loadTripState() {
  * Encode the current trip into a URL query string and copy to clipboard.
  * Format: ?parks=yell,grca,zion&origin=-111.09,36.1&originLabel=Las+Vegas
  * Parks are identified by parkCode (from PARKS_DATA) or the stop id for stamps.
+ * Custom stops keep their id, which carries their coordinates
+ * ("custom:-111.09000_36.10000"); their names follow, in stop order, as
+ * repeated `place` params. Visit lengths, when any stop has its own, go in
+ * `visits` in stop order: "" for the default, "2.5h" or "3d".
  */
 async function copyShareLink() {
   if (!selectedParks.length) return;
@@ -2014,6 +5309,12 @@ async function copyShareLink() {
     return String(p.id);
   });
   params.set("parks", stopCodes.join(","));
+  selectedParks
+    .filter((p) => p.source === "custom")
+    .forEach((p) => params.append("place", p.name));
+  if (selectedParks.some((p) => p.visit)) {
+    params.set("visits", selectedParks.map((p) => shareVisit(p.visit)).join(","));
+  }
 
   // Encode origin
   if (originPoint?.lngLat) {
@@ -2021,6 +5322,12 @@ async function copyShareLink() {
     if (originPoint.label) params.set("originLabel", originPoint.label);
   }
 
+  // Encode open-jaw destination
+  if (destinationPoint?.lngLat) {
+    params.set("dest", `${destinationPoint.lngLat[0].toFixed(5)},${destinationPoint.lngLat[1].toFixed(5)}`);
+    if (destinationPoint.label) params.set("destLabel", destinationPoint.label);
+  }
+
   const url = `${location.origin}${location.pathname}?${params.toString()}`;
   try {
     await navigator.clipboard.writeText(url);
@@ -2031,6 +5338,54 @@ async function copyShareLink() {
   }
 }
 
+/** A stop's `visit` for the share link: "" (default), "2.5h" or "3d". */
+function shareVisit(visit) {
+  if (visit?.days > 0) return `${visit.days}d`;
+  return Number.isFinite(visit?.hours) ? `${visit.hours}h` : "";
+}
+
+/** shareVisit() back to a `visit`, or null for the default or anything unreadable. */
+function parseShareVisit(text) {
+  const m = /^(\d+(?:\.\d+)?)([hd])$/.exec(text ?? "");
+  if (!m) return null;
+  const n = Number(m[1]);
+  if (m[2] === "d") return n >= 1 ? { days: Math.min(14, Math.round(n)) } : null;
+  return n > 0 ? { hours: Math.min(24, n) } : null;
+}
+
+/**
+ * selectedParks item for one `parks` code of a share link, or null if it
+ * isn't known. Custom stops take the next name from `placeNames`.
+ */
+function stopFromShareCode(code, placeNames) {
+  // Custom stop: coordinates from its id, name from the next `place` param
+  if (code.startsWith("custom:")) {
+    const coords = importCoords(...code.slice("custom:".length).split("_"));
+    const name   = placeNames.shift();
+    return coords
+      ? { id: code, name: cleanImportName(name) || "Shared place", coords, locked: false, source: "custom" }
+      : null;
+  }
+  // Try NPS park code match first
+  const idx = PARKS_DATA.findIndex((p) => p.parkCode === code);
+  if (idx !== -1) {
+    const p = PARKS_DATA[idx];
+    return { id: idx, name: p.name, coords: [p.lon, p.lat], locked: false, source: "park" };
+  }
+  // Try stamp match by parkCode
+  const stamp = NPS_STAMPS?.find((s) => s.parkCode === code);
+  if (stamp) {
+    return { id: stamp.parkCode, name: stamp.name, coords: [stamp.lon, stamp.lat], locked: false, source: "stamp" };
+  }
+  // Numeric id fallback
+  const numId = parseInt(code, 10);
+  if (!isNaN(numId) && PARKS_DATA[numId]) {
+    const p = PARKS_DATA[numId];
+    return { id: numId, name: p.name, coords: [p.lon, p.lat], locked: false, source: "park" };
+  }
+  return null;
+}
+
 /**
  * On page load, check for trip params in the URL.
  * If present, restore the trip from the URL and clear the params from the address bar.
@@ -2047,27 +5402,15 @@ function restoreFromUrl() {
 
   // Map park codes back to selectedParks items
   const restored = [];
-  for (const code of codes) {
-    // Try NPS park code match first
-    const idx = PARKS_DATA.findIndex((p) => p.parkCode === code);
-    if (idx !== -1) {
-      const p = PARKS_DATA[idx];
-      restored.push({ id: idx, name: p.name, coords: [p.lon, p.lat], locked: false, source: "park" });
-      continue;
-    }
-    // Try stamp match by parkCode
-    const stamp = NPS_STAMPS?.find((s) => s.parkCode === code);
-    if (stamp) {
-      restored.push({ id: stamp.parkCode, name: stamp.name, coords: [stamp.lon, stamp.lat], locked: false, source: "stamp" });
-      continue;
-    }
-    // Numeric id fallback
-    const numId = parseInt(code, 10);
-    if (!isNaN(numId) && PARKS_DATA[numId]) {
-      const p = PARKS_DATA[numId];
-      restored.push({ id: numId, name: p.name, coords: [p.lon, p.lat], locked: false, source: "park" });
-    }
-  }
+  const placeNames = params.getAll("place");
+  const visits = (params.get("visits") ?? "").split(",");
+  codes.forEach((code, k) => {
+    const stop = stopFromShareCode(code, placeNames);
+    if (!stop) return;
+    const visit = parseShareVisit(visits[k]);
+    if (visit) stop.visit = visit;
+    restored.push(stop);
+  });
 
   if (!restored.length) return false;
 
@@ -2089,6 +5432,17 @@ function restoreFromUrl() {
     }
   }
 
+  // Restore destination if present
+  const destParam = params.get("dest");
+  if (destParam) {
+    const [lon, lat] = destParam.split(",").map(Number);
+    if (Number.isFinite(lon) && Number.isFinite(lat)) {
+      destinationPoint = { lngLat: [lon, lat], label: params.get("destLabel") ?? "Shared destination" };
+      addDestinationMarker();
+      renderDestinationDisplay();
+    }
+  }
+
   // Apply restored stops
   selectedParks = restored;
   renderStopsList();
@@ -2113,8 +5467,8 @@ async function updateRoute() {
   renderStatus();
 
   // Need at least 2 total waypoints to draw a route.
-  // If an origin is set, 1 selected park is enough (origin + park = 2).
-  const minStops = originPoint ? 1 : 2;
+  // If an origin or destination is set, 1 selected park is enough.
+  const minStops = originPoint || destinationPoint ? 1 : 2;
   if (selectedParks.length < minStops) {
     currentLegs = [];
     selectedLegIndex = null;
@@ -2125,6 +5479,7 @@ async function updateRoute() {
     renderSummary([]);
     renderViolations([]);
     renderOptimizeSummary(null);
+    clearRouteAlternatives();
     updateActionAvailability();
 
     setGeoJSON("route", emptyLineStringFeature());
@@ -2138,30 +5493,47 @@ async function updateRoute() {
 
   setRoutingState(true);
 
-  const roundTripOn = !!roundTripToggle?.checked;
+  const roundTripOn = isRoundTrip();
 
   try {
     const beforeMilesApprox = currentLegs.reduce((s, l) => s + (l.miles || 0), 0);
     const beforeLongestApprox = currentLegs.reduce((m, l) => Math.max(m, l.hours || 0), 0);
+    const beforeDaysApprox = countLegDays(currentLegs);
 
-    const { orderedStops, optimized, beforeOrder: beforeFromFn } = await computeStopOrder();
+    // Road legs for the optimizer / day-budget picker when the prebuilt matrix
+    // doesn't cover every pair
+    if (optimizeToggle?.checked || tripRules.tripDays > 0) {
+      await fillRuntimeMatrix(routeStops(selectedParks));
+    }
 
-    // Update the actual selection order if optimized
+    const { orderedStops, optimized, beforeOrder: beforeFromFn, localSearch } = await computeStopOrder();
+
+    // Day-budget mode routes only the stops that fit. Skipped ones stay in
+    // place in the list, marked via budgetSkippedIds.
     selectedParks = orderedStops;
+    let routedStops = orderedStops;
+    if (tripRules.tripDays > 0) {
+      const fit = fitOptionalStops(orderedStops, roundTripOn);
+      routedStops = fit.keptStops;
+      budgetSkippedIds = new Set(fit.skippedStops.map((s) => s.id));
+    } else {
+      budgetSkippedIds = new Set();
+    }
+    renderStopsList();
+
+    // Update the actual selection order if optimized
     updateMarkerNumbers();
     renderStatus();
 
-    // Prepend origin as a virtual first stop (not stored in selectedParks)
-    const stopsForRouting = originPoint
-      ? [{ id: "__origin__", name: "Origin", coords: originPoint.lngLat, locked: true, source: "origin" }, ...orderedStops]
-      : orderedStops;
+    // Origin / destination become virtual first / last stops
+    const stopsForRouting = routeStops(routedStops);
 
     const result = await fetchDirectionsGeometry(stopsForRouting, roundTripOn);
     if (!result.geometry) return;
 
     setGeoJSON("route", { type: "Feature", geometry: result.geometry });
-
     buildLegs(stopsForRouting, roundTripOn);
+    applyDirectionsLegs(result.legs);
     attachLegGeometriesFromRoute(result.geometry, stopsForRouting, roundTripOn);
     updateLegLabels();
 
@@ -2169,12 +5541,16 @@ async function updateRoute() {
       const afterMiles = currentLegs.reduce((s, l) => s + (l.miles || 0), 0);
       const afterLongest = currentLegs.reduce((m, l) => Math.max(m, l.hours || 0), 0);
       lastOptimizeSummary = {
+        objective: tripRules.optimizeObjective,
         beforeMiles: beforeMilesApprox,
         afterMiles,
         beforeLongest: beforeLongestApprox,
         afterLongest,
+        beforeDays: beforeDaysApprox,
+        afterDays: countLegDays(currentLegs),
         beforeOrder: (beforeFromFn || selectedParks.map((s) => s.name)).slice(0, 10),
-        afterOrder: selectedParks.map((s) => s.name).slice(0, 10)
+        afterOrder: selectedParks.map((s) => s.name).slice(0, 10),
+        localSearch: localSearch ?? null
       };
       renderOptimizeSummary(lastOptimizeSummary);
     } else {
@@ -2202,6 +5578,156 @@ async function updateRoute() {
   }
 }
 
+/* ===============================
+   ROUTE ALTERNATIVES
+================================ */
+// Alternatives are offered per leg: OSRM only returns them for two-point
+// requests and Mapbox rarely does for more, so the card and the dashed map
+// lines are for the leg highlighted in the itinerary. A pick is kept in
+// chosenLegRoutes and the route cache, so recomputes drive the same roads.
+
+/** The route stops at either end of leg `index`, or null if one is unknown. */
+function legEndStops(index) {
+  const leg = currentLegs[index];
+  const byId = new Map(routeStops(selectedParks).map((s) => [s.id, s]));
+  const from = byId.get(leg?.fromId);
+  const to   = byId.get(leg?.toId);
+  return from && to ? [from, to] : null;
+}
+
+/**
+ * Show the alternatives for leg `index`, from the route cache or else the
+ * provider (caching the answer). Answers that arrive after another leg was
+ * highlighted or the route was rebuilt are dropped.
+ */
+async function loadLegAlternatives(index) {
+  clearRouteAlternatives();
+  const leg  = currentLegs[index];
+  const ends = legEndStops(index);
+  if (!ends || leg.blocked) return;
+  routeAlternatives = { legIndex: index, leg, stops: ends, options: [], selected: -1 };
+
+  let options = await routeCacheGetAlternatives(...ends);
+  if (!options) {
+    let result;
+    try {
+      result = await fetchDirectionsChunk(ends, true);
+    } catch (err) {
+      if (err?.name !== "AbortError") console.warn("loadLegAlternatives failed:", err);
+      return;
+    }
+    if (!result) return;
+    options = [result, ...(result.alternatives ?? [])]
+      .map((r) => r?.legs?.[0])
+      .filter((l) => Number.isFinite(l?.miles) && l.geometry?.coordinates?.length >= 2);
+    routeCachePutAlternatives(...ends, options);
+  }
+  if (routeAlternatives?.leg !== leg || currentLegs[index] !== leg || options.length < 2) return;
+
+  Object.assign(routeAlternatives, { options, selected: matchingRouteOption(options, leg) });
+  drawRouteAlternatives();
+  renderRouteAlternatives();
+}
+
+/** Index of the option the leg is already driving (same miles, give or take), or -1. */
+function matchingRouteOption(options, leg) {
+  const tolerance = Math.max(0.2, (leg.miles || 0) * 0.005);
+  return options.findIndex((o) => Math.abs(o.miles - leg.miles) <= tolerance);
+}
+
+function clearRouteAlternatives() {
+  routeAlternatives = null;
+  setGeoJSON("route-alternatives", { type: "FeatureCollection", features: [] });
+  renderRouteAlternatives();
+}
+
+/** Draw the options the highlighted leg isn't driving as secondary lines. */
+function drawRouteAlternatives() {
+  const alt = routeAlternatives;
+  setGeoJSON("route-alternatives", {
+    type: "FeatureCollection",
+    features: (alt?.options ?? [])
+      .map((o, i) => ({ type: "Feature", properties: { index: i }, geometry: o.geometry }))
+      .filter((f) => f.properties.index !== alt.selected)
+  });
+}
+
+/** Redraw the trip route line from the legs' own geometries. */
+function drawRouteFromLegs() {
+  const coordinates = [];
+  currentLegs.forEach((leg) => appendCoords(coordinates, legCoords(leg) ?? []));
+  setGeoJSON("route", { type: "Feature", geometry: { type: "LineString", coordinates } });
+}
+
+/** Drive the highlighted leg along option `index` and refresh everything built on currentLegs. */
+function selectRouteAlternative(index) {
+  const alt = routeAlternatives;
+  const option = alt?.options[index];
+  if (!option || alt.selected === index || currentLegs[alt.legIndex] !== alt.leg) return;
+
+  Object.assign(alt.leg, { miles: option.miles, hours: option.hours, geometry: option.geometry, source: "directions" });
+  alt.selected = index;
+
+  // Remember the pick so recomputes and reloads draw the same roads
+  chosenLegRoutes.set(routeCacheKey(alt.stops[0], alt.stops[1]), option);
+  routeCachePutLegs(alt.stops, [option]);
+
+  drawRouteFromLegs();
+  drawRouteAlternatives();
+  updateLegLabels();
+  renderItinerary(currentLegs);
+  highlightLeg(alt.legIndex);
+  renderSummary(currentLegs);
+  renderViolations(computeViolations(currentLegs));
+  renderRouteAlternatives();
+
+  if (dayPlan.length) {
+    const { plan, droppedOptional } = generateDayPlan();
+    renderDayPlan(plan, droppedOptional);
+  }
+}
+
+/** Comparison card for the highlighted leg: each option's miles / hours relative to the recommended one. */
+function renderRouteAlternatives() {
+  const container = document.getElementById("route-alternatives");
+  if (!container) return;
+
+  container.innerHTML = "";
+  const alt = routeAlternatives;
+  if (!alt || alt.options.length < 2) return;
+
+  const base = alt.options[0];
+  const signed = (n, unit) => `${n >= 0 ? "+" : "−"}${fmt(Math.abs(n))} ${unit}`;
+
+  const rows = alt.options.map((o, i) => {
+    const name = i === 0 ? "Recommended" : `Alternative ${i}`;
+    const totals = o.miles == null ? "—" : `${fmt(o.miles)} mi · ${fmt(o.hours)} hr`;
+    const delta = i === 0 || o.miles == null || base.miles == null
+      ? ""
+      : `<span class="altcard__delta">${signed(o.miles - base.miles, "mi")} · ${signed(o.hours - base.hours, "hr")}</span>`;
+    const isSelected = i === alt.selected;
+    return `
+      <div class="altcard__row${isSelected ? " is-selected" : ""}">
+        <div class="altcard__info">
+          <div class="altcard__name">${name}</div>
+          <div class="altcard__totals">${totals} ${delta}</div>
+        </div>
+        <button class="btn btn--ghost altcard__use" data-index="${i}" type="button"${isSelected ? " disabled" : ""}>
+          ${isSelected ? "Selected" : "Use"}
+        </button>
+      </div>`;
+  }).join("");
+
+  const el = document.createElement("div");
+  el.className = "optcard altcard";
+  el.innerHTML = `<div class="optcard__title">Route Alternatives · ${escapeHtml(alt.leg.fromName)} → ${escapeHtml(alt.leg.toName)}</div>${rows}`;
+  container.appendChild(el);
+
+  el.querySelectorAll(".altcard__use").forEach((btn) => {
+    btn.addEventListener("click", () => selectRouteAlternative(Number(btn.dataset.index)));
+  });
+}
+
 /* ===============================
    MODE SWITCH
 ================================ */
@@ -2226,6 +5752,11 @@ function setMode(mode) {
 
   // Render accommodations list whenever the tab is opened
   if (isAccom) renderAccommodationsList();
+
+  // The day plan snaps overnights to campgrounds, loaded on first view, and
+  // names stops on the open road after towns looked up while it's shown
+  if (isDayByDay && dayPlan.some((d) => d.overnight)) loadCampgroundData();
+  if (isDayByDay) lookUpRoadTowns(dayPlan);
 }
 
 /* ===============================
@@ -2539,8 +6070,9 @@ function handleStampCardAddToTrip() {
  * No runtime NPS API calls — all data comes from docs/data/parks.json
  * which is built by scripts/build_nps_data.mjs.
  *
- * parks.json carries `entranceFee`, `entranceFeeDesc`, and `directionsInfo`
- * fields added by the build script. Falls back to NPS website link if absent.
+ * parks.json carries `fees` (the full schedule), `entranceFee`,
+ * `entranceFeeDesc`, and `directionsInfo` fields added by the build script.
+ * Falls back to NPS website link if absent.
  */
 async function fetchNpsParkDetails(parkCode) {
   if (!parkCode) return { fee: "See NPS website", hours: "See NPS website" };
@@ -2551,9 +6083,16 @@ async function fetchNpsParkDetails(parkCode) {
     ? `<a href="${park.url}" target="_blank" rel="noopener">NPS website ↗</a>`
     : "See NPS website";
 
-  // Fee: built from entranceFee (cost) + entranceFeeDesc (title/description)
+  // Fee: the full schedule when the build has one, else entranceFee (cost) +
+  // entranceFeeDesc (title/description)
+  const FEE_LABELS = { vehicle: "Vehicle", motorcycle: "Motorcycle", person: "Per person", timedEntry: "Timed entry", annualPass: "Park annual pass" };
   let feeText;
-  if (park.entranceFee != null) {
+  if (park.fees && Object.keys(park.fees).length) {
+    feeText = Object.entries(FEE_LABELS)
+      .filter(([k]) => park.fees[k] != null)
+      .map(([k, label]) => `${label} ${park.fees[k] ? `$${Number(park.fees[k]).toFixed(2)}` : "free"}`)
+      .join(" · ");
+  } else if (park.entranceFee != null) {
     const cost = Number(park.entranceFee);
     feeText = cost === 0 ? "Free" : `$${cost.toFixed(2)}`;
     if (park.entranceFeeDesc) feeText += ` — ${park.entranceFeeDesc}`;
@@ -2731,18 +6270,25 @@ function initAirportLayer() {
             <span class="airport-popup__location">${city}, ${state}</span>
           </div>
           <div class="airport-popup__name">${name}</div>
-          <button class="airport-popup__set-origin" type="button">Set as Origin</button>
+          <div class="airport-popup__actions">
+            <button class="airport-popup__set-origin" type="button">Set as Origin</button>
+            <button class="airport-popup__set-origin airport-popup__set-destination" type="button">Set as Destination</button>
+          </div>
         </div>`)
       .addTo(map);
 
     // Wire button after popup is added to DOM
-    popup.getElement()
-      .querySelector(".airport-popup__set-origin")
-      ?.addEventListener("click", () => {
-        setOriginMarker([lon, lat], `${iata} – ${city}, ${state}`);
-        if (selectedParks.length >= 1) debounceRouteUpdate(120);
-        popup.remove();
-      });
+    const [setOriginBtn, setDestBtn] = popup.getElement().querySelectorAll(".airport-popup__set-origin");
+    setOriginBtn?.addEventListener("click", () => {
+      setOriginMarker([lon, lat], `${iata} – ${city}, ${state}`);
+      if (selectedParks.length >= 1) debounceRouteUpdate(120);
+      popup.remove();
+    });
+    setDestBtn?.addEventListener("click", () => {
+      setDestinationMarker([lon, lat], `${iata} – ${city}, ${state}`);
+      if (selectedParks.length >= 1) debounceRouteUpdate(120);
+      popup.remove();
+    });
   });
 
   // Toggle wiring
@@ -2756,6 +6302,7 @@ function initAirportLayer() {
 /**
  * Compute and render the "Suggested Airports" box.
  * Shown whenever 2+ stops are selected; hidden otherwise.
+ * Fly-in can be used as the origin and fly-out as the open-jaw destination.
  */
 function renderAirportSuggestion() {
   const section = document.getElementById("airport-suggestion");
@@ -2783,7 +6330,7 @@ function renderAirportSuggestion() {
       <div class="airport-info">
         <strong>${flyIn.iata}</strong> — ${flyIn.city}, ${flyIn.state}
         <div class="airport-detail">${flyIn.name}</div>
-        <div class="airport-dist">${flyIn.distMi} mi from ${first.name}</div>
+        <div class="airport-dist">${flyIn.distMi} mi from ${escapeHtml(first.name)}</div>
       </div>
       <button class="btn btn--ghost airport-set-origin"
               data-lon="${flyIn.lon}" data-lat="${flyIn.lat}"
@@ -2800,25 +6347,26 @@ function renderAirportSuggestion() {
       <div class="airport-info">
         <strong>${flyOut.iata}</strong> — ${flyOut.city}, ${flyOut.state}
         <div class="airport-detail">${flyOut.name}</div>
-        <div class="airport-dist">${flyOut.distMi} mi from ${last.name}</div>
+        <div class="airport-dist">${flyOut.distMi} mi from ${escapeHtml(last.name)}</div>
       </div>
-      <button class="btn btn--ghost airport-set-origin"
+      <button class="btn btn--ghost airport-set-origin airport-set-destination"
               data-lon="${flyOut.lon}" data-lat="${flyOut.lat}"
               data-label="${flyOut.iata} – ${flyOut.city}, ${flyOut.state}"
-              type="button" title="Use this airport as your trip origin">
-        Set Origin
+              type="button" title="End the trip at this airport (open-jaw)">
+        Set Destination
       </button>
     </div>
     `}
   `;
 
-  // Wire "Set Origin" buttons — use event delegation on the freshly-rendered HTML
+  // Wire "Set Origin" / "Set Destination" buttons on the freshly-rendered HTML
   content.querySelectorAll(".airport-set-origin").forEach((btn) => {
     btn.addEventListener("click", () => {
       const lon   = parseFloat(btn.dataset.lon);
       const lat   = parseFloat(btn.dataset.lat);
       const label = btn.dataset.label;
-      setOriginMarker([lon, lat], label);
+      if (btn.classList.contains("airport-set-destination")) setDestinationMarker([lon, lat], label);
+      else setOriginMarker([lon, lat], label);
       if (selectedParks.length >= 1) debounceRouteUpdate(120);
     });
   });
@@ -3405,44 +6953,75 @@ function renderRouteInfoPane() {
     return;
   }
 
-  // Legs arriving at and departing from this stop
-  const arrivingLeg  = currentLegs[stopIdx - 1] ?? null;
-  const departingLeg = currentLegs[stopIdx] ?? null;
+  // Legs arriving at and departing from this stop (matched by id, since the
+  // origin / destination legs shift positions in currentLegs)
+  const stopId       = selectedParks[stopIdx].id;
+  const arrivingLeg  = currentLegs.find((l) => l.toId === stopId) ?? null;
+  const departingLeg = currentLegs.find((l) => l.fromId === stopId) ?? null;
 
   const legCard = (leg, label) => {
     const dist = fmt(leg.miles);
     const hrs  = fmt(leg.hours);
     const departureMins = (() => {
       if (!dayPlan.length) return null;
-      // Find which day this leg is in
+      // Walk the schedule events of this leg (across days when it is split
+      // at overnight stops)
+      const legIdx = currentLegs.indexOf(leg);
+      let timing = null;
       for (const d of dayPlan) {
-        const legPos = d.legs.indexOf(currentLegs.indexOf(leg));
-        if (legPos !== -1) {
-          let mins = d.startMins;
-          for (let i = 0; i <= legPos; i++) {
-            const l = currentLegs[d.legs[i]];
-            if (i === legPos) return { depart: mins, arrive: mins + Math.round((l.hours || 0) * 60) };
-            mins += Math.round((l.hours || 0) * 60) + Math.round(tripRules.visitHoursPerPark * 60);
+        const date = zoneDate(d.day);
+        for (const e of d.events) {
+          if (e.leg !== legIdx) continue;
+          if (e.type === "drive") {
+            timing ??= { depart: clockLabel(e.start, e.zone, date), departDay: d.day, overnights: [], crossings: [] };
+            timing.crossings.push(...e.crossings.map((c) => crossingLabel(c, date)));
+          } else if (e.type === "arrive" || e.type === "overnight") {
+            timing.arrive    = clockLabel(e.start, e.zone, date);
+            timing.arriveDay = d.day;
+            if (e.type === "overnight") timing.overnights.push(e.location.name);
           }
         }
       }
-      return null;
+      return timing;
     })();
 
-    const timeRow = departureMins
-      ? `<div class="route-info-row"><span>Depart/Arrive</span><span>${minsToHHMM(departureMins.depart)} → ${minsToHHMM(departureMins.arrive)}</span></div>`
-      : "";
+    const timeRow = !departureMins ? "" : (departureMins.departDay === departureMins.arriveDay
+      ? `<div class="route-info-row"><span>Depart/Arrive</span><span>${departureMins.depart} → ${departureMins.arrive}</span></div>`
+      : `<div class="route-info-row"><span>Depart/Arrive</span><span>Day ${departureMins.departDay} ${departureMins.depart} → Day ${departureMins.arriveDay} ${departureMins.arrive}</span></div>` +
+        `<div class="route-info-row"><span>Overnight</span><span>${departureMins.overnights.map(escapeHtml).join(", ")}</span></div>`) +
+      (departureMins.crossings.length
+        ? `<div class="route-info-row"><span>Time zones</span><span>${departureMins.crossings.join(", ")}</span></div>`
+        : "");
 
     return `<div class="route-info-card">
       <div class="route-info-card__label">${label}</div>
-      <div class="route-info-row"><span>From → To</span><span>${leg.fromName} → ${leg.toName}</span></div>
+      <div class="route-info-row"><span>From → To</span><span>${escapeHtml(leg.fromName)} → ${escapeHtml(leg.toName)}</span></div>
       <div class="route-info-row"><span>Distance</span><span>${dist} mi</span></div>
       <div class="route-info-row"><span>Drive time</span><span>~${hrs} hr</span></div>
       ${timeRow}
     </div>`;
   };
 
+  // The stop's own visit: how long, and which days of the plan it spans
+  const stop  = selectedParks[stopIdx];
+  const visit = stopVisit(stop);
+  const planDayOf = (leg, last) => {
+    const days = dayPlan.filter((d) => d.legs.includes(currentLegs.indexOf(leg)));
+    return (last ? days.at(-1) : days[0])?.day ?? null;
+  };
+  const arriveDay = arrivingLeg ? planDayOf(arrivingLeg, true) : (dayPlan.length ? 1 : null);
+  const leaveDay  = departingLeg ? planDayOf(departingLeg, false) : null;
+  const visitDays = arriveDay && leaveDay && leaveDay !== arriveDay
+    ? `${tripDayLabel(arriveDay)} → ${tripDayLabel(leaveDay)}`
+    : arriveDay ? tripDayLabel(arriveDay) : "";
+  const visitCard = `<div class="route-info-card">
+      <div class="route-info-card__label">Your visit</div>
+      <div class="route-info-row"><span>Duration</span><span>${stop.visit ? visitLabel(stop.visit) : `${hoursToLabel(visit.mins / 60)} (default)`}</span></div>
+      ${visitDays ? `<div class="route-info-row"><span>Days</span><span>${visitDays}</span></div>` : ""}
+    </div>`;
+
   const cards = [
+    visitCard,
     arrivingLeg  ? legCard(arrivingLeg,  "Arriving leg")  : "",
     departingLeg ? legCard(departingLeg, "Departing leg") : "",
   ].filter(Boolean).join("");
@@ -3564,6 +7143,22 @@ function initMap() {
     map.addSource("route", { type: "geojson", data: emptyLineStringFeature() });
     map.addSource("route-highlight", { type: "geojson", data: emptyLineStringFeature() });
     map.addSource("leg-labels", { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+    map.addSource("route-alternatives", { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+
+    // Alternative routes sit under the main route; click one to switch to it
+    map.addLayer({
+      id: "route-alternatives-layer",
+      type: "line",
+      source: "route-alternatives",
+      layout: { "line-cap": "round", "line-join": "round" },
+      paint: { "line-color": "#7a8794", "line-width": 4, "line-opacity": 0.6, "line-dasharray": [1.5, 1.5] }
+    });
+    map.on("click", "route-alternatives-layer", (e) => {
+      const index = e.features?.[0]?.properties?.index;
+      if (index != null) selectRouteAlternative(Number(index));
+    });
+    map.on("mouseenter", "route-alternatives-layer", () => { map.getCanvas().style.cursor = "pointer"; });
+    map.on("mouseleave", "route-alternatives-layer", () => { map.getCanvas().style.cursor = ""; });
 
     map.addLayer({
       id: "route-layer",
@@ -3786,7 +7381,6 @@ window.addEventListener("DOMContentLoaded", () => {
   startTimeEl = document.getElementById("start-time");
   maxHoursEl = document.getElementById("max-hours");
   maxLegHoursEl = document.getElementById("max-leg-hours");
-  breakMinsEl = document.getElementById("break-mins");
   speedMphEl = document.getElementById("speed-mph");
   autoScheduleBtn = document.getElementById("auto-schedule");
 
@@ -3802,7 +7396,6 @@ window.addEventListener("DOMContentLoaded", () => {
   if (startTimeEl) { tripRules.startTimeHHMM = startTimeEl.value || "08:00"; tripRules.wakeHHMM = startTimeEl.value || "08:00"; }
   if (maxHoursEl) tripRules.maxDriveHoursPerDay = Number(maxHoursEl.value || 6);
   if (maxLegHoursEl) tripRules.maxSingleLegHours = Number(maxLegHoursEl.value || 10);
-  if (breakMinsEl) tripRules.breakMinutesPerDay = Number(breakMinsEl.value || 0);
   if (speedMphEl) tripRules.speedMph = Number(speedMphEl.value || 55);
 
   const wakeTimeEl       = document.getElementById("wake-time");
@@ -3811,6 +7404,10 @@ window.addEventListener("DOMContentLoaded", () => {
   const noBacktrackingEl = document.getElementById("no-backtracking");
   const visitHoursEl     = document.getElementById("visit-hours");
   const filterClosedEl   = document.getElementById("filter-closed");
+  const objectiveEl      = document.getElementById("optimize-objective");
+  const tripDaysEl       = document.getElementById("trip-days");
+  const startDateEl      = document.getElementById("trip-start-date");
+  const daylightOnlyEl   = document.getElementById("daylight-only");
 
   if (wakeTimeEl)  tripRules.wakeHHMM  = wakeTimeEl.value  || "08:00";
   if (sleepTimeEl) tripRules.sleepHHMM = sleepTimeEl.value || "20:00";
@@ -3818,6 +7415,11 @@ window.addEventListener("DOMContentLoaded", () => {
   if (noBacktrackingEl) tripRules.noBacktracking     = noBacktrackingEl.checked;
   if (filterClosedEl)   tripRules.filterClosedParks  = filterClosedEl.checked;
   if (visitHoursEl)     tripRules.visitHoursPerPark  = Number(visitHoursEl.value ?? 1.5);
+  if (objectiveEl)      tripRules.optimizeObjective  = objectiveEl.value || "distance";
+  if (tripDaysEl)       tripRules.tripDays           = Math.max(0, Math.floor(Number(tripDaysEl.value || 0)));
+  if (startDateEl)      tripRules.startDate          = startDateEl.value || "";
+  if (daylightOnlyEl)   tripRules.daylightOnly       = daylightOnlyEl.checked;
+  syncTravelMonthInput();
 
   // UI events
   modePlannerBtn?.addEventListener("click", () => setMode("planner"));
@@ -3853,41 +7455,95 @@ window.addEventListener("DOMContentLoaded", () => {
     tripRules.wakeHHMM = wakeTimeEl.value || "08:00";
     tripRules.startTimeHHMM = wakeTimeEl.value || "08:00";
     if (startTimeEl) startTimeEl.value = wakeTimeEl.value;
+    refitDayBudget();
     renderViolations(computeViolations(currentLegs));
     if (dayPlan.length) { const { plan, droppedOptional } = generateDayPlan(); renderDayPlan(plan, droppedOptional); }
   });
 
   sleepTimeEl?.addEventListener("change", () => {
     tripRules.sleepHHMM = sleepTimeEl.value || "20:00";
+    refitDayBudget();
+    renderViolations(computeViolations(currentLegs));
+    if (dayPlan.length) { const { plan, droppedOptional } = generateDayPlan(); renderDayPlan(plan, droppedOptional); }
+  });
+
+  daylightOnlyEl?.addEventListener("change", () => {
+    tripRules.daylightOnly = daylightOnlyEl.checked;
+    saveTripState();
+    refitDayBudget();
     renderViolations(computeViolations(currentLegs));
     if (dayPlan.length) { const { plan, droppedOptional } = generateDayPlan(); renderDayPlan(plan, droppedOptional); }
   });
 
   travelMonthEl?.addEventListener("change", () => {
     tripRules.travelMonth = Number(travelMonthEl.value || 0);
+    refitDayBudget();
+    renderViolations(computeViolations(currentLegs));
+    renderStopsList();
+  });
+
+  startDateEl?.addEventListener("change", () => {
+    tripRules.startDate = startDateEl.value || "";
+    syncTravelMonthInput();
+    refitDayBudget();
     renderViolations(computeViolations(currentLegs));
     renderStopsList();
+    if (dayPlan.length) { const { plan, droppedOptional } = generateDayPlan(); renderDayPlan(plan, droppedOptional); }
   });
 
   noBacktrackingEl?.addEventListener("change", () => {
     tripRules.noBacktracking = noBacktrackingEl.checked;
     if (optimizeToggle?.checked) debounceRouteUpdate(120);
+    else refitDayBudget();
   });
 
   filterClosedEl?.addEventListener("change", () => {
     tripRules.filterClosedParks = filterClosedEl.checked;
+    refitDayBudget();
     renderViolations(computeViolations(currentLegs));
     renderStopsList();
   });
 
+  objectiveEl?.addEventListener("change", () => {
+    tripRules.optimizeObjective = objectiveEl.value || "distance";
+    saveTripState();
+    if (optimizeToggle?.checked) debounceRouteUpdate(120);
+  });
+
+  // Avoidances: providers that can't honour one get that checkbox disabled
+  Object.keys(AVOIDANCE_LABELS).forEach((key) => {
+    const el = document.getElementById(`avoid-${key}`);
+    if (!el) return;
+    if (!ROUTING.avoidances.includes(key)) {
+      el.disabled = true;
+      el.checked = false;
+      el.closest(".toggle")?.setAttribute("title", `Not supported by the ${ROUTING.name} routing provider`);
+    }
+    tripRules.avoid[key] = el.checked;
+    el.addEventListener("change", async () => {
+      tripRules.avoid[key] = el.checked;
+      saveTripState();
+      await loadDriveMatrix();
+      debounceRouteUpdate(120);
+    });
+  });
+
+  tripDaysEl?.addEventListener("change", () => {
+    tripRules.tripDays = Math.max(0, Math.floor(Number(tripDaysEl.value || 0)));
+    saveTripState();
+    debounceRouteUpdate(120);
+  });
+
   visitHoursEl?.addEventListener("change", () => {
     tripRules.visitHoursPerPark = Number(visitHoursEl.value ?? 1.5);
+    refitDayBudget();
     if (dayPlan.length) { const { plan, droppedOptional } = generateDayPlan(); renderDayPlan(plan, droppedOptional); }
   });
 
   maxHoursEl?.addEventListener("change", () => {
     tripRules.maxDriveHoursPerDay = Number(maxHoursEl.value || 6);
     validateRules();
+    refitDayBudget();
     renderSummary(currentLegs);
     renderViolations(computeViolations(currentLegs));
   });
@@ -3895,16 +7551,50 @@ window.addEventListener("DOMContentLoaded", () => {
   maxLegHoursEl?.addEventListener("change", () => {
     tripRules.maxSingleLegHours = Number(maxLegHoursEl.value || 10);
     validateRules();
+    refitDayBudget();
     renderSummary(currentLegs);
     renderViolations(computeViolations(currentLegs));
   });
 
-  breakMinsEl?.addEventListener("change", () => {
-    tripRules.breakMinutesPerDay = Number(breakMinsEl.value || 0);
-    if (dayPlan.length) {
-      const { plan, droppedOptional } = generateDayPlan();
-      renderDayPlan(plan, droppedOptional);
-    }
+  // Rest / lunch break rules
+  const breakInputs = {
+    "rest-every": (el) => { tripRules.restEveryHours = Math.max(0, Number(el.value || 0)); },
+    "rest-mins":  (el) => { tripRules.restMinutes    = Math.max(0, Number(el.value || 0)); },
+    "lunch-mins": (el) => { tripRules.lunchMinutes   = Math.max(0, Number(el.value || 0)); },
+    "lunch-from": (el) => { tripRules.lunchFromHHMM  = el.value || "11:30"; },
+    "lunch-to":   (el) => { tripRules.lunchToHHMM    = el.value || "13:30"; }
+  };
+  Object.entries(breakInputs).forEach(([id, read]) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    read(el);
+    el.addEventListener("change", () => {
+      read(el);
+      saveTripState();
+      refitDayBudget();
+      renderViolations(computeViolations(currentLegs));
+      if (dayPlan.length) {
+        const { plan, droppedOptional } = generateDayPlan();
+        renderDayPlan(plan, droppedOptional);
+      }
+    });
+  });
+
+  // Trip budget
+  const budgetInputs = {
+    "budget-mpg":        (el) => { tripRules.vehicleMpg = Math.max(0, Number(el.value || 0)); },
+    "budget-fuel-price": (el) => { tripRules.fuelPrice  = Math.max(0, Number(el.value || 0)); },
+    "budget-travellers": (el) => { tripRules.travellers = Math.max(1, Math.round(Number(el.value || 1))); }
+  };
+  Object.entries(budgetInputs).forEach(([id, read]) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    read(el);
+    el.addEventListener("change", () => {
+      read(el);
+      saveTripState();
+      renderBudget();
+    });
   });
 
   speedMphEl?.addEventListener("change", () => {
@@ -3921,6 +7611,10 @@ window.addEventListener("DOMContentLoaded", () => {
   document.getElementById("export-pdf")?.addEventListener("click", printTrip);
   document.getElementById("share-link")?.addEventListener("click", copyShareLink);
   exportCsvBtn?.addEventListener("click", exportDayPlanCSV);
+  document.getElementById("export-ics")?.addEventListener("click", exportDayPlanICS);
+  document.getElementById("export-gpx")?.addEventListener("click", exportTripGPX);
+  document.getElementById("export-kml")?.addEventListener("click", exportTripKML);
+  document.getElementById("export-geojson")?.addEventListener("click", exportTripGeoJSON);
   copyBriefBtn?.addEventListener("click", copyTripBrief);
 
   document.getElementById("reverse-route")?.addEventListener("click", () => {
@@ -3986,6 +7680,7 @@ window.addEventListener("DOMContentLoaded", () => {
 
   // Wizard
   initWizard();
+  initImport();
 
   // Detail panel, collapsibles, mobile sidebar
   initDetailPanel();
@@ -4042,7 +7737,7 @@ window.addEventListener("DOMContentLoaded", () => {
         return;
       }
       originResultsEl.innerHTML = results
-        .map((r, i) => `<div class="origin-result" data-idx="${i}">${r.label}</div>`)
+        .map((r, i) => `<div class="origin-result" data-idx="${i}">${escapeHtml(r.label)}</div>`)
         .join("");
       originResultsEl._results = results;
       originResultsEl.classList.remove("is-hidden");
@@ -4066,6 +7761,51 @@ window.addEventListener("DOMContentLoaded", () => {
     if (selectedParks.length >= 1) debounceRouteUpdate(120);
   });
 
+  // ── Open-jaw destination ───────────────────────────────────────────────────
+  renderDestinationDisplay();
+
+  const destInputEl   = document.getElementById("destination-input");
+  const destResultsEl = document.getElementById("destination-results");
+  let destDebounceTimer = null;
+
+  destInputEl?.addEventListener("input", () => {
+    clearTimeout(destDebounceTimer);
+    const q = destInputEl.value;
+    if (!q.trim()) {
+      destResultsEl?.classList.add("is-hidden");
+      return;
+    }
+    destDebounceTimer = setTimeout(async () => {
+      const results = await geocodeOriginQuery(q);
+      if (!destResultsEl) return;
+      if (!results.length) {
+        destResultsEl.classList.add("is-hidden");
+        return;
+      }
+      destResultsEl.innerHTML = results
+        .map((r, i) => `<div class="origin-result" data-idx="${i}">${escapeHtml(r.label)}</div>`)
+        .join("");
+      destResultsEl._results = results;
+      destResultsEl.classList.remove("is-hidden");
+    }, 300);
+  });
+
+  destResultsEl?.addEventListener("click", (e) => {
+    const row = e.target.closest(".origin-result");
+    if (!row) return;
+    const r = destResultsEl._results?.[Number(row.dataset.idx)];
+    if (!r) return;
+    setDestinationMarker(r.lngLat, r.label);
+    if (destInputEl) destInputEl.value = "";
+    destResultsEl.classList.add("is-hidden");
+    if (selectedParks.length >= 1) debounceRouteUpdate(120);
+  });
+
+  document.getElementById("destination-clear")?.addEventListener("click", () => {
+    clearDestinationMarker();
+    if (selectedParks.length >= 1) debounceRouteUpdate(120);
+  });
+
   // ── Park search ────────────────────────────────────────────────────────────
   const parkSearchEl    = document.getElementById("park-search");
   const searchResultsEl = document.getElementById("search-results");
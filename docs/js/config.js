@@ -6,7 +6,9 @@
  * - Restrict this token in your Mapbox account dashboard:
  *     Allowed URLs: https://<your-username>.github.io/<repo-name>/
  *     Optional dev: http://localhost:*
- * - Scope it to the minimum required: Styles Read + Directions
+ * - Scope it to the minimum required: Styles Read, plus the Directions,
+ *   Matrix (drive times for stops the prebuilt matrix doesn't cover) and
+ *   Geocoding (origin / destination search) APIs the app calls with it
  * - Set usage caps in the Mapbox dashboard.
  * - To rotate: generate a new restricted token in Mapbox, replace below,
  *   delete the old token from Mapbox. The build pipeline uses a SEPARATE
@@ -36,4 +38,27 @@ window.APP_CONFIG = {
     }
     return "./data";
   })(),
+
+  /**
+   * Routing + geocoding backend (see routing.js).
+   *   provider: "mapbox" (hosted, uses mapboxToken) or "osrm"
+   *   osrm.baseUrl:     OSRM server for route + table requests,
+   *                     e.g. a local `osrm-routed` on http://localhost:5000
+   *   osrm.geocoderUrl: Nominatim-compatible /search endpoint (OSRM has no
+   *                     geocoder). Leave empty to turn place search off; the
+   *                     public nominatim.openstreetmap.org policy forbids
+   *                     search-as-you-type, so point this at your own server.
+   *                     Its /reverse endpoint names overnight stops and breaks
+   *                     after the nearest town (osrm.reverseGeocoderUrl
+   *                     overrides it).
+   * The map itself is always drawn with Mapbox GL styles.
+   */
+  routing: {
+    provider: "mapbox",
+    osrm: {
+      baseUrl: "http://localhost:5000",
+      profile: "driving",
+      geocoderUrl: "",
+    },
+  },
 };
@@ -0,0 +1,206 @@
+// routing.js
+// Routing + geocoding provider adapters, selected by APP_CONFIG.routing.
+// Must be loaded after config.js and before app.js.
+// Exposes window.ROUTING — the active provider:
+//
+//   name            "mapbox" | "osrm"
+//   maxWaypoints    most coordinates one directions request may carry
+//   maxMatrixPoints most coordinates one matrix request may carry
+//   avoidances      which of "tolls" | "ferries" | "unpaved" | "highways"
+//                   the provider can route around
+//   directions(coords, { signal, alternatives, avoid }) → Promise<route[]|null>
+//       coords: [[lon, lat], …]. Resolves to the usable routes, primary
+//       first, in OSRM / Mapbox Directions shape: { geometry (GeoJSON
+//       LineString), legs: [{ distance (m), duration (s), steps: [{ geometry }] }] }.
+//       With `alternatives` the provider may add up to two alternative routes.
+//       Resolves to [] when the provider reports that no route exists
+//       (e.g. every way through needs a ferry the `avoid` list rules out).
+//   matrix(coords, { signal, avoid }) → Promise<{ distances, durations }|null>
+//       Square arrays in meters / seconds; null entries for unroutable pairs.
+//   geocode(query) → Promise<[{ label, lngLat:[lon, lat] }]>
+//   town(lngLat) → Promise<{ name, lngLat:[lon, lat] }|null>
+//       Town nearest a point by reverse geocoding, e.g. "Bozeman, MT" at
+//       the town's centre; null when there is none or no geocoder.
+//
+// Adapters resolve to null / [] on failure but rethrow AbortError so callers
+// can drop stale requests.
+
+(function () {
+  "use strict";
+
+  const config = window.APP_CONFIG?.routing ?? {};
+
+  /**
+   * fetch → JSON, or null on network failure (aborts are rethrown). Error
+   * responses are only returned when they carry an OSRM-style `code`, so
+   * callers can tell "no route" apart from an outage.
+   */
+  async function getJson(url, signal) {
+    try {
+      const res = await fetch(url, { signal });
+      const json = await res.json().catch(() => null);
+      if (!res.ok && typeof json?.code !== "string") return null;
+      return json;
+    } catch (err) {
+      if (err?.name === "AbortError") throw err;
+      return null;
+    }
+  }
+
+  const NO_ROUTE_CODES = new Set(["NoRoute", "NoSegment"]);
+
+  /** `&exclude=` parameter for the avoidances this provider understands. */
+  function excludeParam(avoid, classes) {
+    const list = (avoid ?? []).map((a) => classes[a]).filter(Boolean);
+    return list.length ? `&exclude=${list.join(",")}` : "";
+  }
+
+  const coordPath = (coords) => coords.map((c) => `${c[0]},${c[1]}`).join(";");
+
+  /** Routes with a usable GeoJSON LineString, or null if the primary has none. */
+  function usableRoutes(json) {
+    if (NO_ROUTE_CODES.has(json?.code)) return [];
+    const routes = (json?.routes ?? []).filter((route) => {
+      const geom = route?.geometry;
+      return geom?.type === "LineString" && Array.isArray(geom.coordinates) && geom.coordinates.length >= 2;
+    });
+    return routes.length && routes[0] === json.routes[0] ? routes : null;
+  }
+
+  function matrixResult(json) {
+    if (!Array.isArray(json?.distances) || !Array.isArray(json?.durations)) return null;
+    return { distances: json.distances, durations: json.durations };
+  }
+
+  // ── Mapbox (hosted) ────────────────────────────────────────────────────────
+  function createMapboxProvider(opts) {
+    const base  = opts.baseUrl ?? "https://api.mapbox.com";
+    const token = () => window.APP_CONFIG?.mapboxToken ?? "";
+
+    // Road classes the driving profile can exclude
+    const classes = { tolls: "toll", ferries: "ferry", unpaved: "unpaved", highways: "motorway" };
+
+    return {
+      name: "mapbox",
+      maxWaypoints: 25,     // Directions v5 limit
+      maxMatrixPoints: 25,  // Matrix v1 limit for the driving profile
+      avoidances: Object.keys(classes),
+
+      async directions(coords, { signal, alternatives = false, avoid } = {}) {
+        const url =
+          `${base}/directions/v5/mapbox/driving/${coordPath(coords)}` +
+          `?geometries=geojson&overview=full&steps=true&alternatives=${alternatives}` +
+          `${excludeParam(avoid, classes)}&access_token=${token()}`;
+        return usableRoutes(await getJson(url, signal));
+      },
+
+      // The Matrix API has no exclude option, so avoidance-aware legs come
+      // from Directions instead
+      async matrix(coords, { signal, avoid } = {}) {
+        if (avoid?.length) return null;
+        const url =
+          `${base}/directions-matrix/v1/mapbox/driving/${coordPath(coords)}` +
+          `?annotations=distance,duration&access_token=${token()}`;
+        return matrixResult(await getJson(url, signal));
+      },
+
+      async geocode(query) {
+        const url =
+          `${base}/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json` +
+          `?types=place,address,poi&country=us&access_token=${token()}`;
+        const json = await getJson(url);
+        return (json?.features ?? []).slice(0, 5).map((f) => ({
+          label:  f.place_name,
+          lngLat: f.geometry.coordinates
+        }));
+      },
+
+      async town([lon, lat]) {
+        const url =
+          `${base}/geocoding/v5/mapbox.places/${lon},${lat}.json` +
+          `?types=place&limit=1&access_token=${token()}`;
+        const f = (await getJson(url))?.features?.[0];
+        if (!f?.text || !Array.isArray(f.center)) return null;
+        const region = f.context?.find((c) => c.id?.startsWith("region"))?.short_code?.replace(/^US-/, "");
+        return { name: region ? `${f.text}, ${region}` : f.text, lngLat: f.center };
+      }
+    };
+  }
+
+  // ── OSRM (self-hosted or local stand-in) ───────────────────────────────────
+  // OSRM speaks the same route / table JSON as Mapbox. It has no geocoder, so
+  // place search goes to a Nominatim-compatible endpoint (geocoderUrl). There
+  // is no default: the public Nominatim server's usage policy doesn't allow
+  // search-as-you-type, so place search is off until one is configured.
+  function createOsrmProvider(opts) {
+    const base        = (opts.baseUrl ?? "http://localhost:5000").replace(/\/$/, "");
+    const profile     = opts.profile ?? "driving";
+    const geocoderUrl = opts.geocoderUrl || null;
+    const reverseUrl  = opts.reverseGeocoderUrl || geocoderUrl?.replace(/\/search\/?$/, "/reverse") || null;
+
+    // Exclude classes defined by the stock car.lua profile (it has no "unpaved")
+    const classes = opts.excludeClasses ?? { tolls: "toll", ferries: "ferry", highways: "motorway" };
+
+    return {
+      name: "osrm",
+      maxWaypoints: opts.maxWaypoints ?? 100,
+      maxMatrixPoints: opts.maxMatrixPoints ?? 100, // osrm-routed --max-table-size default
+      avoidances: Object.keys(classes),
+
+      // OSRM only returns alternatives for two-coordinate requests
+      async directions(coords, { signal, alternatives = false, avoid } = {}) {
+        const url =
+          `${base}/route/v1/${profile}/${coordPath(coords)}` +
+          `?geometries=geojson&overview=full&steps=true&alternatives=${alternatives}` +
+          excludeParam(avoid, classes);
+        const json = await getJson(url, signal);
+        return json?.code === "Ok" || NO_ROUTE_CODES.has(json?.code) ? usableRoutes(json) : null;
+      },
+
+      async matrix(coords, { signal, avoid } = {}) {
+        const url =
+          `${base}/table/v1/${profile}/${coordPath(coords)}?annotations=distance,duration` +
+          excludeParam(avoid, classes);
+        const json = await getJson(url, signal);
+        return json?.code === "Ok" ? matrixResult(json) : null;
+      },
+
+      async geocode(query) {
+        if (!geocoderUrl) return [];
+        const url =
+          `${geocoderUrl}?format=jsonv2&countrycodes=us&limit=5` +
+          `&q=${encodeURIComponent(query)}`;
+        const json = await getJson(url);
+        return (Array.isArray(json) ? json : []).map((r) => ({
+          label:  r.display_name,
+          lngLat: [Number(r.lon), Number(r.lat)]
+        })).filter((r) => r.lngLat.every(Number.isFinite));
+      },
+
+      // Nominatim /reverse at zoom 10 answers with the surrounding town
+      async town([lon, lat]) {
+        if (!reverseUrl) return null;
+        const json = await getJson(`${reverseUrl}?format=jsonv2&zoom=10&lat=${lat}&lon=${lon}`);
+        const a    = json?.address ?? {};
+        const name = a.city ?? a.town ?? a.village ?? a.hamlet;
+        const lngLat = [Number(json?.lon), Number(json?.lat)];
+        if (!name || !lngLat.every(Number.isFinite)) return null;
+        const state = a["ISO3166-2-lvl4"]?.replace(/^US-/, "") ?? a.state;
+        return { name: state ? `${name}, ${state}` : name, lngLat };
+      }
+    };
+  }
+
+  const PROVIDERS = {
+    mapbox: createMapboxProvider,
+    osrm:   createOsrmProvider
+  };
+
+  const name = config.provider ?? "mapbox";
+  if (!PROVIDERS[name]) {
+    console.warn(`routing.js: unknown provider "${name}", falling back to mapbox`);
+  }
+  const create = PROVIDERS[name] ?? PROVIDERS.mapbox;
+
+  window.ROUTING = create(config[name] ?? {});
+})();
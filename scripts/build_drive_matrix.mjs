@@ -6,6 +6,12 @@
  *
  * Usage:
  *   MAPBOX_TOKEN_BUILD=<build_token> node scripts/build_drive_matrix.mjs
+ *   MAPBOX_TOKEN_BUILD=<build_token> AVOID=tolls,ferries node scripts/build_drive_matrix.mjs
+ *
+ * AVOID (optional) builds a variant routed around tolls, ferries, unpaved
+ * and/or highways, written to drive_matrix.avoid-<sorted-list>.json
+ * (e.g. drive_matrix.avoid-ferries-tolls.json). The app loads the variant
+ * matching the trip's avoidance checkboxes.
  *
  * Cost-control features:
  *   - Reads existing drive_matrix.json and skips pairs already computed.
@@ -14,11 +20,12 @@
  *   - Mapbox allows up to 25 waypoints per call; we batch origin rows.
  *   - Rate-limit: 1 request per 200ms to avoid burst throttling.
  *
- * Output: docs/data/drive_matrix.json
+ * Output: docs/data/drive_matrix.json (or the AVOID variant above)
  * Schema:
  * {
  *   "builtAt": "ISO date",
  *   "parksHash": "sha256 of parks.json at build time",
+ *   "avoid": ["ferries", "tolls"],   // only in variants
  *   "matrix": {
  *     "acad→yell": { "miles": 2312.4, "hours": 34.1 },
  *     ...
@@ -37,18 +44,36 @@ import { fileURLToPath } from "node:url";
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT      = resolve(__dirname, "..");
 const DATA_DIR  = resolve(ROOT, "docs", "data");
-const OUT_FILE  = resolve(DATA_DIR, "drive_matrix.json");
 const PARKS_FILE = resolve(DATA_DIR, "parks.json");
 
 const MAPBOX_TOKEN = process.env.MAPBOX_TOKEN_BUILD;
 const DIRECTIONS_BASE = "https://api.mapbox.com/directions/v5/mapbox/driving";
 
+// Avoidance name → Mapbox `exclude` class (same names as the app's checkboxes)
+const EXCLUDE_CLASSES = { tolls: "toll", ferries: "ferry", unpaved: "unpaved", highways: "motorway" };
+
+const AVOID = [...new Set((process.env.AVOID ?? "").split(",").map((s) => s.trim()).filter(Boolean))].sort();
+const OUT_FILE = resolve(
+  DATA_DIR,
+  AVOID.length ? `drive_matrix.avoid-${AVOID.join("-")}.json` : "drive_matrix.json"
+);
+const EXCLUDE_PARAM = AVOID.length
+  ? `&exclude=${AVOID.map((a) => EXCLUDE_CLASSES[a]).join(",")}`
+  : "";
+
 if (!MAPBOX_TOKEN) {
   console.error("ERROR: MAPBOX_TOKEN_BUILD environment variable is not set.");
   console.error("  Usage: MAPBOX_TOKEN_BUILD=<token> node scripts/build_drive_matrix.mjs");
   process.exit(1);
 }
 
+const unknownAvoid = AVOID.filter((a) => !EXCLUDE_CLASSES[a]);
+if (unknownAvoid.length) {
+  console.error(`ERROR: unknown AVOID value(s): ${unknownAvoid.join(", ")}`);
+  console.error(`  Allowed: ${Object.keys(EXCLUDE_CLASSES).join(", ")}`);
+  process.exit(1);
+}
+
 /* ─── helpers ─────────────────────────────────────────────────── */
 
 function sha256(obj) {
@@ -64,14 +89,15 @@ function sleep(ms) {
 }
 
 /**
- * Fetch driving time + distance for ONE leg (A→B) via Mapbox Directions.
- * Returns { miles, hours } or null on failure.
+ * Fetch driving time + distance for ONE leg (A→B) via Mapbox Directions,
+ * honouring AVOID. Returns { miles, hours } or null on failure (including
+ * pairs with no route under the avoidances — the app then falls back too).
  */
 async function fetchLeg(from, to) {
   const coords = `${from.lon},${from.lat};${to.lon},${to.lat}`;
   const url =
     `${DIRECTIONS_BASE}/${coords}` +
-    `?geometries=geojson&overview=false&access_token=${MAPBOX_TOKEN}`;
+    `?geometries=geojson&overview=false${EXCLUDE_PARAM}&access_token=${MAPBOX_TOKEN}`;
 
   const res = await fetch(url);
   if (!res.ok) {
@@ -102,6 +128,7 @@ async function main() {
     process.exit(1);
   }
   console.log(`Loaded ${parks.length} parks from parks.json`);
+  if (AVOID.length) console.log(`Avoiding: ${AVOID.join(", ")} → ${OUT_FILE}`);
   const parksHash = sha256(parks);
 
   /* 2. Load existing matrix (for caching) */
@@ -182,13 +209,14 @@ async function main() {
   const output = {
     builtAt:   new Date().toISOString(),
     parksHash,
+    ...(AVOID.length ? { avoid: AVOID } : {}),
     matrix,
   };
 
   await writeFile(OUT_FILE, JSON.stringify(output, null, 2), "utf8");
 
   console.log(`\n✅ Done.`);
-  console.log(`   drive_matrix.json → ${Object.keys(matrix).length} pairs`);
+  console.log(`   ${OUT_FILE} → ${Object.keys(matrix).length} pairs`);
   console.log(`   ${done} computed, ${failed} failed`);
   if (failed > 0) {
     console.warn(`   ⚠️  ${failed} pairs failed — re-run to retry.`);
@@ -10,6 +10,7 @@
  * Outputs:
  *   docs/data/parks.json      — 63 national parks (slim fields)
  *   docs/data/units.json      — all 474 NPS passport stamp units
+ *   docs/data/passes.json     — national (interagency) passes the parks list
  *   docs/data/meta.json       — build date + content hash for cache busting
  *
  * The NPS_API_KEY is read from the environment only — never committed.
@@ -46,21 +47,81 @@ async function npsGet(endpoint, params = {}) {
   return res.json();
 }
 
-/** Extract the best entrance fee from the NPS entranceFees array. */
-function parseBestFee(entranceFees) {
-  if (!Array.isArray(entranceFees) || !entranceFees.length) return {};
+// Fee schedule keys, matched against the titles the NPS uses
+// ("Entrance - Private Vehicle", "Timed Entry Reservation - Location", …).
+// Commercial tour fees are left out.
+const FEE_KINDS = [
+  ["timedEntry", /timed entry|reservation/i],
+  ["motorcycle", /motorcycle/i],
+  ["vehicle",    /vehicle/i],
+  ["person",     /per person|individual|pedestrian|bicycle|walk/i],
+];
+// "…entering on foot or bicycle, without a vehicle" describes a per-person fee
+const NOT_A_VEHICLE = /\b(?:without|no|non)[- ](?:an? |private |motor )*vehicles?\b/gi;
+const NATIONAL_PASS = /interagency|america the beautiful/i;
+
+/**
+ * FEE_KINDS key for an entranceFees entry, or null. The title decides; the
+ * description is only read when the title matches no kind, since it often
+ * mentions other kinds ("per person … for visitors without a vehicle").
+ */
+function feeKind(fee) {
+  const kindOf = (text) =>
+    FEE_KINDS.find(([, re]) => re.test(String(text ?? "").replace(NOT_A_VEHICLE, " ")))?.[0] ?? null;
+  return kindOf(fee.title) ?? kindOf(fee.description);
+}
+
+/**
+ * Full fee schedule from a park's NPS entranceFees / entrancePasses:
+ *   fees: { vehicle, motorcycle, person, timedEntry, annualPass } in dollars
+ *   (each only when listed), plus entranceFee / entranceFeeDesc — the per
+ *   vehicle fee, else the first non-zero one — for the park card.
+ */
+function parseFeeSchedule(entranceFees, entrancePasses) {
+  const fees = {};
+  for (const f of Array.isArray(entranceFees) ? entranceFees : []) {
+    if (/commercial/i.test(f.title ?? "")) continue;
+    const kind = feeKind(f);
+    if (kind && fees[kind] == null) fees[kind] = Number(f.cost ?? 0);
+  }
+  // The park's own annual pass; national passes go to passes.json
+  const annual = (Array.isArray(entrancePasses) ? entrancePasses : [])
+    .find((p) => /annual/i.test(p.title ?? "") && !NATIONAL_PASS.test(p.title ?? ""));
+  if (annual) fees.annualPass = Number(annual.cost ?? 0);
+
+  if (!Array.isArray(entranceFees) || !entranceFees.length) {
+    return Object.keys(fees).length ? { fees } : {};
+  }
   // Prefer the "per vehicle" fee, else take the first non-zero, else first entry
   const perVehicle = entranceFees.find((f) =>
-    /vehicle/i.test(f.title) || /vehicle/i.test(f.description)
+    !/commercial/i.test(f.title ?? "") && feeKind(f) === "vehicle"
   );
   const nonZero = entranceFees.find((f) => Number(f.cost) > 0);
   const chosen  = perVehicle ?? nonZero ?? entranceFees[0];
   return {
     entranceFee:     Number(chosen.cost ?? 0),
     entranceFeeDesc: chosen.title || chosen.description || "",
+    fees,
   };
 }
 
+/** National passes any unit lists (deduplicated by title), cheapest first. */
+function nationalPasses(units) {
+  const byTitle = new Map();
+  for (const u of units) {
+    for (const p of u.entrancePasses ?? []) {
+      const title = p.title?.trim();
+      if (!title || !NATIONAL_PASS.test(title) || byTitle.has(title)) continue;
+      byTitle.set(title, {
+        title,
+        cost:        Number(p.cost ?? 0),
+        description: (p.description ?? "").replace(/<[^>]*>/g, "").trim().slice(0, 200) || undefined,
+      });
+    }
+  }
+  return [...byTitle.values()].sort((a, b) => a.cost - b.cost);
+}
+
 /** Summarise operating hours for display. Returns a short string or null. */
 function parseOperatingHours(operatingHours) {
   if (!Array.isArray(operatingHours) || !operatingHours.length) return null;
@@ -133,7 +194,7 @@ async function main() {
 
   /* ── 1. Fetch all NPS parks ──────────────────────────────────── */
   console.log("Fetching NPS parks list…");
-  const allUnits = await npsGetAll("parks", { fields: "entranceFees,operatingHours,description,addresses" });
+  const allUnits = await npsGetAll("parks", { fields: "entranceFees,entrancePasses,operatingHours,description,addresses" });
   console.log(`  → ${allUnits.length} total NPS units`);
 
   /* ── 2. Identify national park designation set ───────────────── */
@@ -185,7 +246,7 @@ async function main() {
     .filter((u) => u.layer === "national-park")
     .map((u, i) => {
       const raw = rawByCode.get(u.parkCode) ?? {};
-      const { entranceFee, entranceFeeDesc } = parseBestFee(raw.entranceFees);
+      const { entranceFee, entranceFeeDesc, fees } = parseFeeSchedule(raw.entranceFees, raw.entrancePasses);
       const operatingHours = parseOperatingHours(raw.operatingHours);
       // Trim description to 300 chars for the park card
       const description = raw.description
@@ -204,6 +265,7 @@ async function main() {
         description:     description     || undefined,
         entranceFee:     entranceFee     ?? undefined,
         entranceFeeDesc: entranceFeeDesc || undefined,
+        fees:            fees && Object.keys(fees).length ? fees : undefined,
         operatingHours:  operatingHours  || undefined,
       };
     });
@@ -245,7 +307,11 @@ async function main() {
   }
   console.log(`  → Visitor center coords for ${vcUpdated}/${parks.length} parks`);
 
-  /* ── 6. Write files ─────────────────────────────────────────── */
+  /* ── 6. National passes ─────────────────────────────────────── */
+  const passes = nationalPasses(allUnits);
+  console.log(`  → ${passes.length} national passes`);
+
+  /* ── 7. Write files ─────────────────────────────────────────── */
   const meta = {
     builtAt:      new Date().toISOString(),
     parksCount:   parks.length,
@@ -257,12 +323,14 @@ async function main() {
   await Promise.all([
     writeFile(resolve(OUT_DIR, "parks.json"),  JSON.stringify(parks,      null, 2), "utf8"),
     writeFile(resolve(OUT_DIR, "units.json"),  JSON.stringify(stampUnits, null, 2), "utf8"),
+    writeFile(resolve(OUT_DIR, "passes.json"), JSON.stringify({ builtAt: meta.builtAt, passes }, null, 2), "utf8"),
     writeFile(resolve(OUT_DIR, "meta.json"),   JSON.stringify(meta,       null, 2), "utf8"),
   ]);
 
   console.log(`\n✅ Done.`);
   console.log(`   parks.json  → ${parks.length} parks`);
   console.log(`   units.json  → ${stampUnits.length} stamp units`);
+  console.log(`   passes.json → ${passes.length} national passes`);
   console.log(`   meta.json   → built ${meta.builtAt}`);
 }
 
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/**
+ * build_timezones.mjs
+ * Build-time script: rasterizes the timezone-boundary-builder polygons over
+ * the US (plus the Canadian / Mexican zones a road trip can pass through)
+ * into a compact grid the app can look stops up in offline.
+ *
+ * Usage:
+ *   node scripts/build_timezones.mjs
+ *   TZ_RELEASE=2024b node scripts/build_timezones.mjs   # pin a release
+ *
+ *   # Sample @photostructure/tz-lookup (built from the same polygons) instead
+ *   # of downloading a release — this is how the committed grid is built:
+ *   npm install --no-save @photostructure/tz-lookup@11.7.0
+ *   TZ_SOURCE=tz-lookup node scripts/build_timezones.mjs
+ *
+ * A release download needs the `unzip` command (present on GitHub's ubuntu
+ * runners).
+ *
+ * Output: docs/data/timezones.json
+ * Schema:
+ * {
+ *   "builtAt": "ISO date",
+ *   "source":  "timezone-boundary-builder <release>"
+ *              or "timezone-boundary-builder via @photostructure/tz-lookup <version>",
+ *   "west": -180, "south": 17, "cell": 0.05,   // degrees
+ *   "cols": 2320, "rows": 1100,
+ *   "zones": ["", "America/New_York", …],      // IANA ids; index 0 = none
+ *   "runs":  ["3:120,5:40,…", …]               // one per row, south → north;
+ *                                              // zone index : cell count
+ * }
+ *
+ * Ocean cells take the nearest zone on their row, so coastal stops that fall
+ * just offshore at grid resolution still resolve. UTC offsets and DST are
+ * left to the browser's Intl time-zone data.
+ */
+
+import { execFile }                   from "node:child_process";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { tmpdir }                     from "node:os";
+import { resolve, dirname }           from "node:path";
+import { fileURLToPath }              from "node:url";
+import { promisify }                  from "node:util";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT    = resolve(__dirname, "..");
+const OUT_DIR = resolve(ROOT, "docs", "data");
+
+const SOURCE  = process.env.TZ_SOURCE ?? "release";  // "release" | "tz-lookup"
+const RELEASE = process.env.TZ_RELEASE ?? "latest";
+const ZIP_URL = RELEASE === "latest"
+  ? "https://github.com/evansiroky/timezone-boundary-builder/releases/latest/download/timezones.geojson.zip"
+  : `https://github.com/evansiroky/timezone-boundary-builder/releases/download/${RELEASE}/timezones.geojson.zip`;
+
+// Grid: Hawaii and the Aleutians to the Virgin Islands, the Keys to Alaska's
+// North Slope. Guam, Saipan and American Samoa fall outside and use the
+// app's longitude fallback.
+const WEST = -180, SOUTH = 17, EAST = -64, NORTH = 72;
+const CELL = 0.05;  // ≈ 5 km
+const COLS = Math.round((EAST - WEST) / CELL);
+const ROWS = Math.round((NORTH - SOUTH) / CELL);
+
+/* ─── helpers ──────────────────────────────────────────────────── */
+
+async function fetchGeojson() {
+  console.log(`Downloading ${ZIP_URL}…`);
+  const res = await fetch(ZIP_URL);
+  if (!res.ok) throw new Error(`timezone-boundary-builder → HTTP ${res.status}`);
+
+  const zipPath = resolve(tmpdir(), "timezones.geojson.zip");
+  await writeFile(zipPath, Buffer.from(await res.arrayBuffer()));
+
+  const { stdout } = await promisify(execFile)("unzip", ["-p", zipPath], {
+    maxBuffer: 1024 * 1024 * 1024,
+    encoding: "utf8"
+  });
+  return JSON.parse(stdout);
+}
+
+function ringsOf(geometry) {
+  if (geometry?.type === "Polygon")      return geometry.coordinates;
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates.flat();
+  return [];
+}
+
+/**
+ * Even-odd scanline fill: every ring edge records where it crosses each row's
+ * centre line, then each zone's sorted crossings pair up into filled spans.
+ * Holes and multipolygons fall out of the even-odd rule.
+ */
+function rasterize(features, zoneIndex) {
+  const crossings = Array.from({ length: ROWS }, () => new Map());
+
+  for (const f of features) {
+    const z = zoneIndex.get(f.properties.tzid);
+    for (const ring of ringsOf(f.geometry)) {
+      for (let i = 1; i < ring.length; i++) {
+        const [x0, y0] = ring[i - 1];
+        const [x1, y1] = ring[i];
+        if (y0 === y1) continue;
+
+        const lo = Math.max(0, Math.ceil((Math.min(y0, y1) - SOUTH) / CELL - 0.5));
+        const hi = Math.min(ROWS - 1, Math.floor((Math.max(y0, y1) - SOUTH) / CELL - 0.5));
+        for (let r = lo; r <= hi; r++) {
+          const y = SOUTH + (r + 0.5) * CELL;
+          // Half-open on y so a vertex on the line counts once
+          if (y < Math.min(y0, y1) || y >= Math.max(y0, y1)) continue;
+          const x = x0 + (x1 - x0) * (y - y0) / (y1 - y0);
+          const row = crossings[r];
+          if (!row.has(z)) row.set(z, []);
+          row.get(z).push(x);
+        }
+      }
+    }
+  }
+
+  return crossings.map((row) => {
+    const cells = new Uint16Array(COLS);
+    for (const [z, xs] of row) {
+      xs.sort((a, b) => a - b);
+      for (let i = 0; i + 1 < xs.length; i += 2) {
+        const from = Math.max(0, Math.ceil((xs[i] - WEST) / CELL - 0.5));
+        const to   = Math.min(COLS - 1, Math.floor((xs[i + 1] - WEST) / CELL - 0.5));
+        for (let c = from; c <= to; c++) cells[c] = z;
+      }
+    }
+    return cells;
+  });
+}
+
+/** Rasterize the zones of a timezone-boundary-builder release. */
+async function rasterizeRelease() {
+  const geojson = await fetchGeojson();
+
+  // Zones whose polygons reach into the grid
+  const features = geojson.features.filter((f) => {
+    const pts = ringsOf(f.geometry).flat();
+    return pts.some(([x, y]) => x >= WEST && x <= EAST && y >= SOUTH && y <= NORTH);
+  });
+  console.log(`  → ${features.length} of ${geojson.features.length} zones reach the grid`);
+
+  const zones = ["", ...new Set(features.map((f) => f.properties.tzid))].sort();
+  const zoneIndex = new Map(zones.map((z, i) => [z, i]));
+  return {
+    source: `timezone-boundary-builder ${RELEASE}`,
+    zones,
+    grid: rasterize(features, zoneIndex)
+  };
+}
+
+/**
+ * Look up every cell centre with @photostructure/tz-lookup, whose compressed
+ * tree is built from timezone-boundary-builder. Its ocean "Etc/GMT±N" zones
+ * count as unassigned, like cells outside the release polygons.
+ */
+async function sampleTzLookup() {
+  const { default: tzlookup } = await import("@photostructure/tz-lookup");
+  const { version } = JSON.parse(await readFile(
+    resolve(ROOT, "node_modules", "@photostructure", "tz-lookup", "package.json"), "utf8"));
+  console.log(`Sampling @photostructure/tz-lookup ${version}…`);
+
+  const found = new Set();
+  const names = Array.from({ length: ROWS }, (_, r) => {
+    const lat = SOUTH + (r + 0.5) * CELL;
+    return Array.from({ length: COLS }, (_, c) => {
+      const tz = tzlookup(lat, WEST + (c + 0.5) * CELL);
+      if (tz.startsWith("Etc/")) return "";
+      found.add(tz);
+      return tz;
+    });
+  });
+
+  const zones = ["", ...found].sort();
+  const zoneIndex = new Map(zones.map((z, i) => [z, i]));
+  return {
+    source: `timezone-boundary-builder via @photostructure/tz-lookup ${version}`,
+    zones,
+    grid: names.map((row) => Uint16Array.from(row, (tz) => zoneIndex.get(tz)))
+  };
+}
+
+/** Give unassigned (ocean) cells the nearest zone on the same row. */
+function fillRow(cells) {
+  const out = Uint16Array.from(cells);
+  let prev = -1;
+  for (let c = 0; c <= COLS; c++) {
+    if (c < COLS && !cells[c]) continue;
+    // cells (prev, c) are empty
+    for (let k = prev + 1; k < c; k++) {
+      const left  = prev >= 0 ? k - prev : Infinity;
+      const right = c < COLS  ? c - k    : Infinity;
+      if (left === Infinity && right === Infinity) break;
+      out[k] = left <= right ? cells[prev] : cells[c];
+    }
+    prev = c;
+  }
+  return out;
+}
+
+/** "zone:count,zone:count,…" */
+function encodeRow(cells) {
+  const runs = [];
+  let zone = cells[0], count = 0;
+  for (const z of cells) {
+    if (z === zone) { count++; continue; }
+    runs.push(`${zone}:${count}`);
+    zone = z;
+    count = 1;
+  }
+  runs.push(`${zone}:${count}`);
+  return runs.join(",");
+}
+
+/* ─── main ─────────────────────────────────────────────────────── */
+
+async function main() {
+  await mkdir(OUT_DIR, { recursive: true });
+
+  const { source, zones, grid } = SOURCE === "tz-lookup"
+    ? await sampleTzLookup()
+    : await rasterizeRelease();
+
+  const runs = grid.map((cells) => encodeRow(fillRow(cells)));
+
+  await writeFile(
+    resolve(OUT_DIR, "timezones.json"),
+    JSON.stringify({
+      builtAt: new Date().toISOString(),
+      source,
+      west: WEST, south: SOUTH, cell: CELL, cols: COLS, rows: ROWS,
+      zones,
+      runs
+    }),
+    "utf8"
+  );
+
+  console.log(`\n✅ Done.`);
+  console.log(`   timezones.json → ${zones.length - 1} zones, ${COLS}×${ROWS} cells`);
+}
+
+main().catch((err) => {
+  console.error("build_timezones failed:", err);
+  process.exit(1);
+});